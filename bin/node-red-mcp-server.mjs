@@ -22,12 +22,24 @@ const args = process.argv.slice(2);
 const options = {
   nodeRedUrl: process.env.NODE_RED_URL,
   nodeRedToken: process.env.NODE_RED_TOKEN,
+  nodeRedUsername: process.env.NODE_RED_USERNAME,
+  nodeRedPassword: process.env.NODE_RED_PASSWORD,
   verbose: false,
+  dryRun: process.env.MCP_DRY_RUN === "true",
+  http: {},
   backup: {
+    enabled: process.env.MCP_AUTO_BACKUP !== "false",
     backupPath: process.env.MCP_BACKUP_PATH,
+    storage: process.env.MCP_BACKUP_STORAGE,
     maxBackups: process.env.MCP_MAX_BACKUPS
       ? parseInt(process.env.MCP_MAX_BACKUPS)
       : undefined,
+    interval: process.env.MCP_BACKUP_INTERVAL
+      ? parseInt(process.env.MCP_BACKUP_INTERVAL)
+      : undefined,
+  },
+  history: {
+    persist: process.env.MCP_PERSIST_HISTORY === "true",
   },
 };
 
@@ -39,12 +51,36 @@ for (let i = 0; i < args.length; i++) {
     options.nodeRedUrl = args[++i];
   } else if (arg === "--token" || arg === "-t") {
     options.nodeRedToken = args[++i];
+  } else if (arg === "--username") {
+    options.nodeRedUsername = args[++i];
+  } else if (arg === "--password") {
+    options.nodeRedPassword = args[++i];
   } else if (arg === "--verbose" || arg === "-v") {
     options.verbose = true;
+  } else if (arg === "--dry-run") {
+    options.dryRun = true;
+  } else if (arg === "--api-version") {
+    options.nodeRedAPIVersion = args[++i];
+  } else if (arg === "--npm-registry") {
+    options.npmRegistry = args[++i];
+  } else if (arg === "--transport") {
+    options.transportType = args[++i];
+  } else if (arg === "--port" || arg === "-p") {
+    options.http.port = parseInt(args[++i]);
+  } else if (arg === "--host") {
+    options.http.host = args[++i];
   } else if (arg === "--backup-path") {
     options.backup.backupPath = args[++i];
+  } else if (arg === "--backup-storage") {
+    options.backup.storage = args[++i];
   } else if (arg === "--max-backups") {
     options.backup.maxBackups = parseInt(args[++i]);
+  } else if (arg === "--backup-interval") {
+    options.backup.interval = parseInt(args[++i]);
+  } else if (arg === "--no-auto-backup") {
+    options.backup.enabled = false;
+  } else if (arg === "--persist-history") {
+    options.history.persist = true;
   } else if (arg === "--help" || arg === "-h") {
     console.log(`
 Node-RED MCP Server v${packageJson.version}
@@ -54,18 +90,43 @@ Usage: node-red-mcp [options]
 Options:
   -u, --url <url>           Node-RED base URL (default: http://localhost:1880)
   -t, --token <token>       API access token
+  --username <username>     adminAuth username (logs in and renews tokens)
+  --password <password>     adminAuth password
   -v, --verbose             Enable verbose logging
+  --dry-run                 Report what tools would change instead of changing it
+  --api-version <v1|v2>     Node-RED Admin API version, v2 detects concurrent deploys (default: v1)
+  --npm-registry <url>      Registry for latest module versions (default: npmjs)
+  --transport <type>        MCP transport: stdio or http (default: stdio)
+  -p, --port <number>       HTTP transport port (default: 3000)
+  --host <host>             HTTP transport host (default: 127.0.0.1)
   --backup-path <path>      Custom backup directory path
+  --backup-storage <type>   Backup storage: file or git (default: file)
   --max-backups <number>    Maximum number of backups to keep (default: 10)
+  --backup-interval <min>   Take a backup every <min> minutes if flows changed
+  --no-auto-backup          Don't back up flows before changing them
+  --persist-history         Keep undo/redo history across server restarts
   -h, --help               Show this help message
   -V, --version            Show version number
 
 Environment Variables:
   NODE_RED_URL             Node-RED base URL
   NODE_RED_TOKEN           API access token  
+  NODE_RED_USERNAME        adminAuth username
+  NODE_RED_PASSWORD        adminAuth password
+  NODE_RED_API_VERSION     Node-RED Admin API version: v1 or v2
   MCP_BACKUP_PATH          Custom backup directory path
+  MCP_BACKUP_STORAGE       Backup storage: file or git
   MCP_MAX_BACKUPS          Maximum number of backups to keep
+  MCP_BACKUP_INTERVAL      Minutes between scheduled backups
+  MCP_AUTO_BACKUP          Set to false to disable automatic backups
+  MCP_PERSIST_HISTORY      Set to true to keep undo/redo history across restarts
+  MCP_DRY_RUN              Set to true to run in dry-run mode
   NODE_MCP_PREFIX          MCP server prefix
+  MCP_NPM_REGISTRY         Registry for latest module versions
+  MCP_TRANSPORT            MCP transport: stdio or http
+  MCP_HTTP_HOST            HTTP transport host
+  MCP_HTTP_PORT            HTTP transport port
+  MCP_AUTH_TOKEN           Bearer token required from HTTP clients
 `);
     process.exit(0);
   } else if (arg === "--version" || arg === "-V") {
@@ -79,6 +140,14 @@ async function run() {
   try {
     const server = createServer(options);
     await server.start();
+
+    // Revoke login tokens before exiting
+    const shutdown = async () => {
+      await server.stop();
+      process.exit(0);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
   } catch (error) {
     process.exit(1);
   }
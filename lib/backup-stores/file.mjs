@@ -0,0 +1,409 @@
+/**
+ * Backup storage in a directory, indexed by a metadata file.
+ *
+ * Flows are split per tab/subflow (config nodes without a tab form one more
+ * chunk). Chunks are gzip-compressed and stored once by content hash in
+ * objects/, so unchanged tabs are shared between backups. Each backup has a
+ * manifest with its metadata, its chunks and the node order needed to
+ * rebuild the original flows array.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import zlib from "zlib";
+import { promisify } from "util";
+import { removeTempFiles, writeFileAtomic } from "./fs-utils.mjs";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Storage format written by this store; 1.0 kept one JSON file per backup
+const STORE_VERSION = "2.0";
+
+const OBJECTS_DIR = "objects";
+const OBJECT_SUFFIX = ".json.gz";
+const MANIFEST_SUFFIX = ".manifest.json";
+
+/**
+ * Calculate the SHA-256 hash of a string
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Get the chunk a node is stored in: its tab or subflow, or "global"
+ * @param {Object} node - Node-RED node
+ * @returns {string} Chunk key
+ */
+function chunkKey(node) {
+  if (node?.type === "tab" || node?.type === "subflow") return node.id;
+  return node?.z || "global";
+}
+
+/**
+ * Split flows into chunks, recording the node order as runs of chunk indexes
+ * @param {Array} flows - Flows array
+ * @returns {Object} Chunks (arrays of nodes) and order ([[chunkIndex, count], ...])
+ */
+function splitFlows(flows) {
+  const chunkIndexes = new Map();
+  const chunks = [];
+  const order = [];
+
+  flows.forEach((node) => {
+    const key = chunkKey(node);
+    if (!chunkIndexes.has(key)) {
+      chunkIndexes.set(key, chunks.length);
+      chunks.push([]);
+    }
+    const index = chunkIndexes.get(key);
+    chunks[index].push(node);
+
+    const lastRun = order[order.length - 1];
+    if (lastRun && lastRun[0] === index) {
+      lastRun[1]++;
+    } else {
+      order.push([index, 1]);
+    }
+  });
+
+  return { chunks, order };
+}
+
+/**
+ * Rebuild the flows array from chunks and the recorded node order
+ * @param {Array<Array>} chunks - Arrays of nodes
+ * @param {Array<Array>} order - Runs of [chunkIndex, count]
+ * @returns {Array} Flows array
+ */
+function joinFlows(chunks, order) {
+  const positions = chunks.map(() => 0);
+  const flows = [];
+  order.forEach(([index, count]) => {
+    flows.push(...chunks[index].slice(positions[index], positions[index] + count));
+    positions[index] += count;
+  });
+  return flows;
+}
+
+/**
+ * Create a directory backup store
+ * @param {string} dir - Backup directory
+ * @param {string} metadataFile - File name of the metadata index
+ * @returns {Object} Backup store
+ */
+export function createFileStore(dir, metadataFile) {
+  const metadataPath = path.join(dir, metadataFile);
+  const objectsDir = path.join(dir, OBJECTS_DIR);
+  const objectPath = (hash) => path.join(objectsDir, hash + OBJECT_SUFFIX);
+
+  async function readMetadata() {
+    return JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  }
+
+  async function writeMetadata(metadata) {
+    await writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
+  }
+
+  async function readManifest(entry) {
+    try {
+      return JSON.parse(
+        await fs.readFile(path.join(dir, entry.manifest), "utf8")
+      );
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        throw new Error(`Backup '${entry.name}' not found`);
+      }
+      throw err;
+    }
+  }
+
+  async function readChunk(hash) {
+    let text;
+    try {
+      text = (await gunzip(await fs.readFile(objectPath(hash)))).toString(
+        "utf8"
+      );
+    } catch (err) {
+      throw new Error(
+        err.code === "ENOENT"
+          ? `Backup chunk ${hash} is missing`
+          : `Backup chunk ${hash} is corrupted`
+      );
+    }
+    if (sha256(text) !== hash) {
+      throw new Error(`Backup chunk ${hash} is corrupted`);
+    }
+    return JSON.parse(text);
+  }
+
+  async function loadManifestFlows(manifest) {
+    const chunks = [];
+    for (const hash of manifest.chunks) {
+      chunks.push(await readChunk(hash));
+    }
+    return joinFlows(chunks, manifest.order);
+  }
+
+  /**
+   * Store the flows of a backup as chunks and a manifest
+   * @param {Object} entry - Backup metadata
+   * @param {Array} flows - Flows to store
+   * @returns {Promise<Object>} Storage details to keep in the metadata
+   */
+  async function save(entry, flows) {
+    const { chunks, order } = splitFlows(flows);
+    const hashes = [];
+
+    for (const chunk of chunks) {
+      const text = JSON.stringify(chunk);
+      const hash = sha256(text);
+      try {
+        await fs.access(objectPath(hash));
+      } catch {
+        await writeFileAtomic(objectPath(hash), await gzip(text));
+      }
+      hashes.push(hash);
+    }
+
+    // The metadata is kept with the chunks so repair-backups can recover it
+    const manifest = `${entry.name}${MANIFEST_SUFFIX}`;
+    await writeFileAtomic(
+      path.join(dir, manifest),
+      JSON.stringify({ metadata: entry, chunks: hashes, order })
+    );
+    return { manifest };
+  }
+
+  /**
+   * Load a backup written in the 1.0 format (one JSON file per backup)
+   * @param {Object} entry - Backup metadata
+   * @returns {Promise<Array>} Flows
+   */
+  async function loadLegacy(entry) {
+    let backupData;
+    try {
+      backupData = JSON.parse(
+        await fs.readFile(path.join(dir, entry.filename), "utf8")
+      );
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        throw new Error(`Backup '${entry.name}' not found`);
+      }
+      throw err;
+    }
+    return backupData.flows;
+  }
+
+  /**
+   * Move backups of the 1.0 format into chunk storage. Backups that can't
+   * be read or verified are left in place.
+   * @param {Object} metadata - Metadata index
+   */
+  async function migrate(metadata) {
+    const migrated = [];
+    for (const entry of metadata.backups.filter((b) => !b.manifest)) {
+      try {
+        const flows = await loadLegacy(entry);
+        if (sha256(JSON.stringify(flows)) !== entry.checksum) continue;
+        Object.assign(entry, await save(entry, flows));
+        migrated.push(entry.filename);
+        delete entry.filename;
+      } catch (_) {
+        // Left for backup-health to report
+      }
+    }
+
+    metadata.version = STORE_VERSION;
+    await writeMetadata(metadata);
+
+    // Old files are removed only once the metadata points at the new format
+    for (const filename of migrated) {
+      await fs.unlink(path.join(dir, filename)).catch(() => {});
+    }
+  }
+
+  /**
+   * Delete chunks no longer referenced by any manifest
+   */
+  async function collectGarbage() {
+    const referenced = new Set();
+    for (const file of await fs.readdir(dir)) {
+      if (!file.endsWith(MANIFEST_SUFFIX)) continue;
+      try {
+        const manifest = JSON.parse(
+          await fs.readFile(path.join(dir, file), "utf8")
+        );
+        manifest.chunks.forEach((hash) => referenced.add(hash));
+      } catch (_) {
+        // Keep every chunk while a manifest can't be read
+        return;
+      }
+    }
+
+    for (const file of await fs.readdir(objectsDir)) {
+      const hash = file.replace(OBJECT_SUFFIX, "");
+      if (!referenced.has(hash)) {
+        await fs.unlink(path.join(objectsDir, file)).catch(() => {});
+      }
+    }
+  }
+
+  return {
+    type: "file",
+    location: dir,
+
+    /**
+     * Create the directory and metadata index if missing, and migrate
+     * backups of the 1.0 format
+     * @param {Object} initialMetadata - Metadata for a new store
+     */
+    async init(initialMetadata) {
+      await fs.mkdir(objectsDir, { recursive: true });
+      let metadata;
+      try {
+        metadata = await readMetadata();
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        await writeMetadata({ ...initialMetadata, version: STORE_VERSION });
+        return;
+      }
+      if (metadata.version !== STORE_VERSION) {
+        await migrate(metadata);
+      }
+    },
+
+    readMetadata,
+    writeMetadata,
+    save,
+
+    /**
+     * Rebuild and verify the flows of a backup
+     * @param {Object} entry - Backup metadata
+     * @returns {Promise<Array>} Flows
+     */
+    async load(entry) {
+      let flows;
+      if (entry.manifest) {
+        flows = await loadManifestFlows(await readManifest(entry));
+      } else {
+        flows = await loadLegacy(entry);
+      }
+
+      if (sha256(JSON.stringify(flows)) !== entry.checksum) {
+        throw new Error("Backup is corrupted: checksum mismatch");
+      }
+      return flows;
+    },
+
+    /**
+     * Remove a backup and the chunks only it used
+     * @param {Object} entry - Backup metadata
+     */
+    async remove(entry) {
+      const file = entry.manifest || entry.filename;
+      try {
+        await fs.unlink(path.join(dir, file));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      if (entry.manifest) await collectGarbage();
+    },
+
+    /**
+     * Get the stored size of a backup, including chunks shared with others
+     * @param {Object} entry - Backup metadata
+     * @returns {Promise<number>} Size in bytes
+     */
+    async size(entry) {
+      if (!entry.manifest) {
+        return (await fs.stat(path.join(dir, entry.filename))).size;
+      }
+      const manifest = await readManifest(entry);
+      let size = (await fs.stat(path.join(dir, entry.manifest))).size;
+      for (const hash of new Set(manifest.chunks)) {
+        size += (await fs.stat(objectPath(hash))).size;
+      }
+      return size;
+    },
+
+    /**
+     * Find the backups present in the directory, whether indexed or not
+     * @returns {Promise<Array<Object>>} Backups ({entry, flows} or {entry, error})
+     */
+    async scan() {
+      const found = [];
+      for (const file of await fs.readdir(dir)) {
+        if (file === metadataFile || !file.endsWith(".json")) continue;
+
+        const stats = await fs.stat(path.join(dir, file));
+        const fallback = { timestamp: stats.mtime.toISOString() };
+        try {
+          const data = JSON.parse(
+            await fs.readFile(path.join(dir, file), "utf8")
+          );
+          if (file.endsWith(MANIFEST_SUFFIX)) {
+            // Manifests written before they held the metadata only have the name
+            const name =
+              data.metadata?.name || file.slice(0, -MANIFEST_SUFFIX.length);
+            found.push({
+              entry: { ...fallback, name, ...data.metadata, manifest: file },
+              flows: await loadManifestFlows(data),
+            });
+          } else if (Array.isArray(data.flows)) {
+            const name = data.metadata?.name || file.slice(0, -5);
+            found.push({
+              entry: { ...fallback, name, ...data.metadata, filename: file },
+              flows: data.flows,
+            });
+          }
+        } catch (error) {
+          found.push({
+            entry: { name: file.replace(/(\.manifest)?\.json$/, "") },
+            error: error.message,
+          });
+        }
+      }
+      return found;
+    },
+
+    /**
+     * Remove temporary files of interrupted writes and unreferenced chunks
+     * @returns {Promise<Array<string>>} Removed file names
+     */
+    async tidy() {
+      const removed = [
+        ...(await removeTempFiles(dir)),
+        ...(await removeTempFiles(objectsDir)).map((file) =>
+          path.join(OBJECTS_DIR, file)
+        ),
+      ];
+      const before = new Set(await fs.readdir(objectsDir));
+      await collectGarbage();
+      const after = new Set(await fs.readdir(objectsDir));
+      before.forEach((file) => {
+        if (!after.has(file)) removed.push(path.join(OBJECTS_DIR, file));
+      });
+      return removed;
+    },
+
+    /**
+     * Get the disk space used by all backups (shared chunks counted once)
+     * @returns {Promise<number>} Size in bytes
+     */
+    async totalSize() {
+      let size = 0;
+      for (const folder of [dir, objectsDir]) {
+        for (const file of await fs.readdir(folder)) {
+          const stats = await fs.stat(path.join(folder, file));
+          if (stats.isFile()) size += stats.size;
+        }
+      }
+      return size;
+    },
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * File system helpers shared by the backup stores: atomic writes and an
+ * advisory lock file for backup directories used by several processes
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+
+// Suffix of files being written, removed by repair-backups if left behind
+export const TEMP_SUFFIX = ".tmp";
+
+const LOCK_FILE = ".lock";
+
+// A lock older than this is considered left behind by a crashed process
+const LOCK_STALE_MS = 2 * 60 * 1000;
+
+// How long to wait for a lock held by another process
+const LOCK_TIMEOUT_MS = 30 * 1000;
+const LOCK_RETRY_MS = 100;
+
+/**
+ * Write a file atomically: write a temporary file next to it, flush it to
+ * disk and rename it over the target
+ * @param {string} filePath - File to write
+ * @param {string|Buffer} data - File content
+ */
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto
+    .randomBytes(4)
+    .toString("hex")}${TEMP_SUFFIX}`;
+  try {
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Remove temporary files left by interrupted writes
+ * @param {string} dir - Directory to clean
+ * @returns {Promise<Array<string>>} Removed file names
+ */
+export async function removeTempFiles(dir) {
+  const removed = [];
+  for (const file of await fs.readdir(dir)) {
+    if (!file.endsWith(TEMP_SUFFIX)) continue;
+    await fs.unlink(path.join(dir, file));
+    removed.push(file);
+  }
+  return removed;
+}
+
+/**
+ * Check whether a lock was left behind: its process is gone (same host
+ * only), or it is older than LOCK_STALE_MS and held from another host
+ * @param {string} lockPath - Lock file
+ * @returns {Promise<boolean>} True if the lock can be taken over
+ */
+async function isStaleLock(lockPath) {
+  let owner = {};
+  let stats;
+  try {
+    stats = await fs.stat(lockPath);
+    owner = JSON.parse(await fs.readFile(lockPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    // A lock file that can't be read was interrupted while being written
+    if (!stats) throw error;
+  }
+
+  if (owner.hostname === os.hostname() && owner.pid) {
+    try {
+      process.kill(owner.pid, 0);
+      // Still running, however long it takes
+      return false;
+    } catch (error) {
+      // EPERM: running under another user
+      return error.code === "ESRCH";
+    }
+  }
+  return Date.now() - stats.mtimeMs > LOCK_STALE_MS;
+}
+
+/**
+ * Run a function while holding the lock file of a directory. Waits for
+ * other processes holding the lock and takes over stale locks.
+ * @param {string} dir - Directory to lock (created if missing)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withLock(dir, fn) {
+  await fs.mkdir(dir, { recursive: true });
+  const lockPath = path.join(dir, LOCK_FILE);
+  const owner = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    since: new Date().toISOString(),
+  });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, "wx");
+      try {
+        await handle.writeFile(owner);
+      } finally {
+        await handle.close();
+      }
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    if (await isStaleLock(lockPath)) {
+      // Renaming first lets only one of several waiting processes remove it
+      const stalePath = `${lockPath}.${process.pid}.stale${TEMP_SUFFIX}`;
+      try {
+        await fs.rename(lockPath, stalePath);
+        await fs.unlink(stalePath);
+      } catch (_) {
+        // Another process took over the lock first
+      }
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      const holder = await fs.readFile(lockPath, "utf8").catch(() => "");
+      throw new Error(
+        `Backup directory ${dir} is locked by another process (${
+          holder || "unknown"
+        }), remove ${lockPath} if that process no longer runs`
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Leave the lock alone if another process took it over meanwhile
+    const holder = await fs.readFile(lockPath, "utf8").catch(() => null);
+    if (holder === owner) {
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  }
+}
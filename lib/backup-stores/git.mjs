@@ -0,0 +1,242 @@
+/**
+ * Backup storage as commits in a local git repository.
+ * Each backup commits a pretty-printed flows.json and is tagged with its name.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { removeTempFiles, writeFileAtomic } from "./fs-utils.mjs";
+
+const execFileAsync = promisify(execFile);
+
+// File holding the flows in the repository
+const FLOWS_FILE = "flows.json";
+
+// Node properties written first, the rest follow alphabetically
+const KEY_ORDER = ["id", "type", "z", "g", "name", "label"];
+
+/**
+ * Serialize a value as pretty-printed JSON with a stable key order
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON text
+ */
+export function stableStringify(value) {
+  const rank = (key) => {
+    const index = KEY_ORDER.indexOf(key);
+    return index === -1 ? KEY_ORDER.length : index;
+  };
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (!item || typeof item !== "object") return item;
+    const keys = Object.keys(item).sort(
+      (a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0)
+    );
+    return Object.fromEntries(keys.map((key) => [key, sortKeys(item[key])]));
+  };
+  return JSON.stringify(sortKeys(value), null, 2) + "\n";
+}
+
+/**
+ * Create a git backup store
+ * @param {string} dir - Repository directory
+ * @param {string} metadataFile - File name of the metadata index (not committed)
+ * @returns {Object} Backup store
+ */
+export function createGitStore(dir, metadataFile) {
+  const metadataPath = path.join(dir, metadataFile);
+
+  /**
+   * Run a git command in the repository
+   * @param {...string} args - Git arguments
+   * @returns {Promise<string>} Standard output
+   */
+  async function git(...args) {
+    try {
+      const { stdout } = await execFileAsync("git", args, {
+        cwd: dir,
+        maxBuffer: 256 * 1024 * 1024,
+      });
+      return stdout;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error("git is not installed or not in PATH");
+      }
+      throw new Error(
+        `git ${args[0]} failed: ${error.stderr?.trim() || error.message}`
+      );
+    }
+  }
+
+  // Backup names are validated, refs avoid any option parsing of the name
+  const tagRef = (entry) => `refs/tags/${entry.name}`;
+  const flowsRef = (entry) =>
+    `${entry.commit || tagRef(entry)}:${FLOWS_FILE}`;
+
+  return {
+    type: "git",
+    location: dir,
+
+    /**
+     * Create the repository and metadata index if missing
+     * @param {Object} initialMetadata - Metadata for a new store
+     */
+    async init(initialMetadata) {
+      await fs.mkdir(dir, { recursive: true });
+      try {
+        await fs.access(path.join(dir, ".git"));
+      } catch {
+        await git("init", "--quiet");
+        await fs.writeFile(path.join(dir, ".gitignore"), `${metadataFile}\n`);
+      }
+
+      // Commits need an identity, keep the user's one if configured
+      try {
+        await git("config", "user.email");
+      } catch {
+        await git("config", "user.name", "Node-RED MCP");
+        await git("config", "user.email", "node-red-mcp@localhost");
+      }
+
+      try {
+        await fs.access(metadataPath);
+      } catch {
+        await writeFileAtomic(
+          metadataPath,
+          JSON.stringify(initialMetadata, null, 2)
+        );
+      }
+    },
+
+    /**
+     * Read the metadata index
+     * @returns {Promise<Object>} Metadata with the list of backups
+     */
+    async readMetadata() {
+      return JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    },
+
+    /**
+     * Write the metadata index
+     * @param {Object} metadata - Metadata with the list of backups
+     */
+    async writeMetadata(metadata) {
+      await writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
+    },
+
+    /**
+     * Commit the flows of a backup and tag the commit with the backup name
+     * @param {Object} entry - Backup metadata
+     * @param {Array} flows - Flows to store
+     * @returns {Promise<Object>} Commit and checksum of the committed content
+     */
+    async save(entry, flows) {
+      const content = stableStringify(flows);
+      await fs.writeFile(path.join(dir, FLOWS_FILE), content);
+      await git("add", FLOWS_FILE, ".gitignore");
+      // Unchanged flows still get their own commit and tag
+      await git(
+        "commit",
+        "--quiet",
+        "--allow-empty",
+        "-m",
+        `${entry.name}\n\n${entry.reason}`
+      );
+      const commit = (await git("rev-parse", "HEAD")).trim();
+      await git("update-ref", tagRef(entry), commit);
+
+      return {
+        commit,
+        contentChecksum: crypto
+          .createHash("sha256")
+          .update(content)
+          .digest("hex"),
+      };
+    },
+
+    /**
+     * Load and verify the flows of a backup
+     * @param {Object} entry - Backup metadata
+     * @returns {Promise<Array>} Flows
+     */
+    async load(entry) {
+      let content;
+      try {
+        content = await git("show", flowsRef(entry));
+      } catch (_) {
+        throw new Error(`Backup '${entry.name}' not found in git repository`);
+      }
+
+      const checksum = crypto
+        .createHash("sha256")
+        .update(content)
+        .digest("hex");
+      if (entry.contentChecksum && checksum !== entry.contentChecksum) {
+        throw new Error("Backup commit is corrupted: checksum mismatch");
+      }
+      return JSON.parse(content);
+    },
+
+    /**
+     * Remove the tag of a backup (the commit stays in the history)
+     * @param {Object} entry - Backup metadata
+     */
+    async remove(entry) {
+      try {
+        await git("update-ref", "-d", tagRef(entry));
+      } catch (_) {
+        // Tag already gone
+      }
+    },
+
+    /**
+     * Find the backups tagged in the repository, whether indexed or not
+     * @returns {Promise<Array<Object>>} Backups ({entry, flows} or {entry, error})
+     */
+    async scan() {
+      const refs = await git(
+        "for-each-ref",
+        "--format=%(refname:strip=2) %(objectname) %(creatordate:iso-strict)",
+        "refs/tags"
+      );
+      const found = [];
+      for (const line of refs.split("\n").filter(Boolean)) {
+        const [name, commit, timestamp] = line.split(" ");
+        const entry = { name, timestamp, commit };
+        try {
+          // Commit messages are "name", a blank line and the reason
+          const message = await git("show", "-s", "--format=%B", commit);
+          entry.reason = message.split("\n\n").slice(1).join("\n\n").trim();
+          const content = await git("show", `${commit}:${FLOWS_FILE}`);
+          entry.contentChecksum = crypto
+            .createHash("sha256")
+            .update(content)
+            .digest("hex");
+          found.push({ entry, flows: JSON.parse(content) });
+        } catch (error) {
+          found.push({ entry, error: error.message });
+        }
+      }
+      return found;
+    },
+
+    /**
+     * Remove temporary files of interrupted writes
+     * @returns {Promise<Array<string>>} Removed file names
+     */
+    async tidy() {
+      return removeTempFiles(dir);
+    },
+
+    /**
+     * Get the stored size of a backup
+     * @param {Object} entry - Backup metadata
+     * @returns {Promise<number>} Size in bytes of the committed flows
+     */
+    async size(entry) {
+      return parseInt(await git("cat-file", "-s", flowsRef(entry)), 10);
+    },
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * Client for the Node-RED editor websocket (/comms)
+ * Collects debug sidebar messages, node status and notifications
+ */
+
+import WebSocket from "ws";
+import { getAuthToken } from "./utils.mjs";
+
+// Topics the editor subscribes to for the debug sidebar and node status
+const SUBSCRIPTIONS = ["debug", "status/#", "notification/#"];
+
+// Time to connect, authenticate and subscribe when comms.connectTimeout is not set
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+// Reconnect delays in milliseconds (last value repeats)
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// Clients by server configuration
+const clients = new WeakMap();
+
+/**
+ * Build the websocket URL of the Node-RED comms endpoint
+ * @param {Object} config - Server configuration
+ * @returns {string} Websocket URL
+ */
+function getCommsUrl(config) {
+  const base = (config.nodeRedUrl + (config.apiPrefix || "")).replace(
+    /^http/,
+    "ws"
+  );
+  return base.replace(/\/$/, "") + "/comms";
+}
+
+/**
+ * Decode a debug message as encoded by the Node-RED runtime
+ * @param {Object} data - Debug message data ({msg, format, ...})
+ * @returns {any} Decoded message value
+ */
+export function decodeDebugMessage(data) {
+  if (typeof data.msg !== "string") return data.msg;
+  const format = data.format || "";
+  if (format === "number") return Number(data.msg);
+  if (format === "boolean") return data.msg === "true";
+  if (format === "null") return null;
+  if (format === "undefined") return undefined;
+  if (/^(Object|array|error|buffer|Set|Map)/.test(format)) {
+    try {
+      return JSON.parse(data.msg);
+    } catch (_) {
+      return data.msg;
+    }
+  }
+  return data.msg;
+}
+
+/**
+ * Create a comms client with a bounded buffer of received events
+ * @param {Object} config - Server configuration
+ * @returns {Object} Client with connect, close and query methods
+ */
+export function createCommsClient(config) {
+  const bufferSize = config.comms?.bufferSize || 500;
+  const connectTimeout =
+    config.comms?.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+  const events = [];
+  const nodeStatus = new Map();
+
+  let socket = null;
+  let connecting = null;
+  let closed = false;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+
+  function record(topic, data) {
+    const event = { timestamp: Date.now(), topic, data };
+    events.push(event);
+    if (events.length > bufferSize) {
+      events.splice(0, events.length - bufferSize);
+    }
+
+    if (topic.startsWith("status/")) {
+      nodeStatus.set(topic.substring(7), event);
+    }
+  }
+
+  function handleMessage(raw) {
+    let messages;
+    try {
+      messages = JSON.parse(raw.toString());
+    } catch (_) {
+      return;
+    }
+    // Newer runtimes batch messages into an array
+    (Array.isArray(messages) ? messages : [messages]).forEach((message) => {
+      if (message?.topic && message.topic !== "hb") {
+        record(message.topic, message.data);
+      }
+    });
+  }
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer) return;
+    const delay =
+      RECONNECT_DELAYS[Math.min(reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+    reconnectAttempt++;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect().catch(() => {});
+    }, delay);
+    reconnectTimer.unref?.();
+  }
+
+  /**
+   * Open the websocket, authenticate and subscribe
+   * @returns {Promise<void>} Resolves once subscribed
+   */
+  function connect() {
+    if (socket?.readyState === WebSocket.OPEN && !connecting) {
+      return Promise.resolve();
+    }
+    if (connecting) return connecting;
+    closed = false;
+
+    connecting = (async () => {
+      const token = await getAuthToken(config);
+
+      await new Promise((resolve, reject) => {
+        const ws = new WebSocket(getCommsUrl(config), {
+          handshakeTimeout: connectTimeout,
+        });
+        let subscribed = false;
+
+        // Also covers a runtime that accepts the socket but never answers auth
+        const timer = setTimeout(() => {
+          reject(
+            new Error(
+              `Node-RED comms connection timed out after ${connectTimeout} ms`
+            )
+          );
+          ws.terminate();
+        }, connectTimeout);
+
+        const subscribe = () => {
+          clearTimeout(timer);
+          SUBSCRIPTIONS.forEach((topic) => {
+            ws.send(JSON.stringify({ subscribe: topic }));
+          });
+          subscribed = true;
+          reconnectAttempt = 0;
+          resolve();
+        };
+
+        ws.on("open", () => {
+          socket = ws;
+          if (token) {
+            ws.send(JSON.stringify({ auth: token }));
+          } else {
+            subscribe();
+          }
+        });
+
+        ws.on("message", (raw) => {
+          if (!subscribed) {
+            let reply;
+            try {
+              reply = JSON.parse(raw.toString());
+            } catch (_) {
+              return;
+            }
+            if (reply?.auth === "ok") {
+              subscribe();
+            } else if (reply?.auth === "fail") {
+              clearTimeout(timer);
+              // The same token would fail again, wait for the next connect()
+              closed = true;
+              ws.close();
+              reject(new Error("Node-RED comms authentication failed"));
+            }
+            return;
+          }
+          handleMessage(raw);
+        });
+
+        ws.on("error", (error) => {
+          if (!subscribed) {
+            clearTimeout(timer);
+            reject(error);
+          }
+        });
+
+        ws.on("close", () => {
+          if (socket === ws) socket = null;
+          if (!subscribed) {
+            clearTimeout(timer);
+            reject(new Error("Node-RED comms connection closed"));
+          }
+          scheduleReconnect();
+        });
+      });
+    })();
+
+    return connecting.finally(() => {
+      connecting = null;
+    });
+  }
+
+  /**
+   * Close the websocket and stop reconnecting
+   */
+  function close() {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+  }
+
+  /**
+   * Get buffered debug messages
+   * @param {Object} filter - Filters (nodeIds, tabId, since, limit)
+   * @returns {Array<Object>} Debug messages, oldest first
+   */
+  function getDebugMessages(filter = {}) {
+    const messages = events
+      .filter((event) => event.topic === "debug")
+      .filter((event) => matchesNode(event.data?.id, event.data?.z, filter))
+      .filter((event) => !filter.since || event.timestamp >= filter.since)
+      .map((event) => ({
+        timestamp: new Date(event.timestamp).toISOString(),
+        nodeId: event.data.id,
+        tabId: event.data.z,
+        name: event.data.name,
+        topic: event.data.topic,
+        property: event.data.property,
+        format: event.data.format,
+        value: decodeDebugMessage(event.data),
+      }));
+    return filter.limit ? messages.slice(-filter.limit) : messages;
+  }
+
+  /**
+   * Get the latest status of each node
+   * @param {Object} filter - Filters (nodeIds, tabNodeIds, since)
+   * @returns {Array<Object>} Node status entries
+   */
+  function getNodeStatus(filter = {}) {
+    return [...nodeStatus.entries()]
+      .filter(([nodeId]) => !filter.nodeIds || filter.nodeIds.includes(nodeId))
+      .filter(
+        ([nodeId]) => !filter.tabNodeIds || filter.tabNodeIds.includes(nodeId)
+      )
+      .filter(([, event]) => !filter.since || event.timestamp >= filter.since)
+      .map(([nodeId, event]) => ({
+        nodeId,
+        timestamp: new Date(event.timestamp).toISOString(),
+        ...event.data,
+      }));
+  }
+
+  /**
+   * Get buffered notifications (e.g. runtime state, deploy warnings)
+   * @param {Object} filter - Filters (since, limit)
+   * @returns {Array<Object>} Notifications, oldest first
+   */
+  function getNotifications(filter = {}) {
+    const notifications = events
+      .filter((event) => event.topic.startsWith("notification/"))
+      .filter((event) => !filter.since || event.timestamp >= filter.since)
+      .map((event) => ({
+        timestamp: new Date(event.timestamp).toISOString(),
+        topic: event.topic,
+        data: event.data,
+      }));
+    return filter.limit ? notifications.slice(-filter.limit) : notifications;
+  }
+
+  return {
+    connect,
+    close,
+    getDebugMessages,
+    getNodeStatus,
+    getNotifications,
+    isConnected: () => socket?.readyState === WebSocket.OPEN,
+  };
+}
+
+/**
+ * Check a node against node ID and tab filters
+ * @param {string} nodeId - Node ID
+ * @param {string} tabId - Tab the node is on
+ * @param {Object} filter - Filters (nodeIds, tabId)
+ * @returns {boolean} True if the node matches
+ */
+function matchesNode(nodeId, tabId, filter) {
+  if (filter.nodeIds && !filter.nodeIds.includes(nodeId)) return false;
+  if (filter.tabId && tabId !== filter.tabId) return false;
+  return true;
+}
+
+/**
+ * Get the shared comms client of a server configuration
+ * @param {Object} config - Server configuration
+ * @returns {Object} Comms client
+ */
+export function getCommsClient(config) {
+  if (!clients.has(config)) {
+    clients.set(config, createCommsClient(config));
+  }
+  return clients.get(config);
+}
@@ -0,0 +1,75 @@
+/**
+ * Dry runs of the tools that change Node-RED: instead of calling the Admin
+ * API, a tool reports the request it would send and what it would change
+ */
+
+import { z } from "zod";
+import { formatDiffSummary, isEmptyDiff } from "./flow-diff.mjs";
+
+// Per-call dryRun argument of the tools that support it
+export const dryRunSchema = z
+  .boolean()
+  .optional()
+  .describe(
+    "Only report the request that would be sent and the resulting changes, without changing Node-RED"
+  );
+
+/**
+ * Check whether a tool call should only be previewed
+ * @param {boolean} [dryRun] - dryRun argument of the call
+ * @param {Object} config - Server configuration
+ * @returns {boolean} True for a dry run; always true if config.dryRun is set
+ */
+export function isDryRun(dryRun, config) {
+  return Boolean(dryRun || config.dryRun);
+}
+
+/**
+ * Describe the requests a dry run did not send and their changes
+ * @param {Object|Array<Object>} request - Request ({method, path, headers, body}),
+ *   or the requests in the order they would be sent
+ * @param {Object|string} changes - Result of diffFlows, or a description of
+ *   changes that are not flow changes
+ * @returns {string} Dry run report
+ */
+export function formatDryRun(request, changes) {
+  const lines = ["Dry run: nothing was sent to Node-RED"];
+  (Array.isArray(request) ? request : [request]).forEach((item) => {
+    lines.push("", `Request: ${item.method.toUpperCase()} ${item.path}`);
+    Object.entries(item.headers || {}).forEach(([name, value]) => {
+      lines.push(`${name}: ${value}`);
+    });
+    if (item.body !== undefined && item.body !== null) {
+      lines.push("Body:", JSON.stringify(item.body, null, 2));
+    }
+  });
+
+  lines.push("", "Changes:");
+  if (typeof changes === "string") {
+    lines.push(changes);
+  } else if (isEmptyDiff(changes)) {
+    lines.push("No changes to the flows");
+  } else {
+    lines.push(formatDiffSummary(changes, { details: true }));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Build the response of a tool that can't be previewed while the server runs
+ * in dry-run mode
+ * @param {string} tool - Tool name
+ * @param {Object} config - Server configuration
+ * @returns {Object|null} Tool response, or null if the tool may run
+ */
+export function blockedByDryRun(tool, config) {
+  if (!config.dryRun) return null;
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Not run: the server runs in dry-run mode and ${tool} has no dry run`,
+      },
+    ],
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Node-level comparison of Node-RED flow configurations
+ */
+
+// Properties reported separately or not useful in a property diff
+const IGNORED_PROPERTIES = ["id", "wires"];
+
+/**
+ * Index flows by node ID
+ * @param {Array} flows - Array of Node-RED flow nodes
+ * @returns {Map<string, Object>} Map of node ID to node
+ */
+function indexById(flows) {
+  const index = new Map();
+  flows.forEach((node) => {
+    if (node && node.id !== undefined) index.set(node.id, node);
+  });
+  return index;
+}
+
+/**
+ * Describe a node for change reports
+ * @param {Object} node - Node-RED node
+ * @returns {Object} Short description of the node
+ */
+function describeNode(node) {
+  return {
+    id: node.id,
+    type: node.type,
+    name: node.label || node.name || "",
+    z: node.z,
+  };
+}
+
+/**
+ * List the wires of a set of flows as "source:port->target" keys
+ * @param {Array} flows - Array of Node-RED flow nodes
+ * @returns {Set<string>} Wire keys
+ */
+function collectWires(flows) {
+  const wires = new Set();
+  flows.forEach((node) => {
+    if (!Array.isArray(node.wires)) return;
+    node.wires.forEach((targets, port) => {
+      (targets || []).forEach((target) => {
+        wires.add(`${node.id}:${port}->${target}`);
+      });
+    });
+  });
+  return wires;
+}
+
+/**
+ * Parse a wire key back into its parts
+ * @param {string} key - Wire key ("source:port->target")
+ * @returns {Object} Source, port and target
+ */
+function parseWireKey(key) {
+  const [from, target] = key.split("->");
+  const separator = from.lastIndexOf(":");
+  return {
+    source: from.substring(0, separator),
+    port: Number(from.substring(separator + 1)),
+    target,
+  };
+}
+
+/**
+ * Compare the properties of two versions of a node
+ * @param {Object} before - Node before the change
+ * @param {Object} after - Node after the change
+ * @param {Object} options - Comparison options
+ * @returns {Array} Changed properties with their old and new values
+ */
+function diffProperties(before, after, options = {}) {
+  const ignored = options.ignorePositions
+    ? [...IGNORED_PROPERTIES, "x", "y", "w", "h"]
+    : IGNORED_PROPERTIES;
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...keys]
+    .filter((key) => !ignored.includes(key))
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map((key) => ({ property: key, before: before[key], after: after[key] }));
+}
+
+/**
+ * Keep only the given tabs/subflows and the nodes they contain
+ * @param {Array} flows - Array of Node-RED flow nodes
+ * @param {Array<string>} tabIds - Tab or subflow IDs
+ * @returns {Array} Filtered flows
+ */
+export function filterFlowsByTabs(flows, tabIds) {
+  return flows.filter(
+    (node) => tabIds.includes(node.id) || tabIds.includes(node.z)
+  );
+}
+
+/**
+ * Find the global config nodes (config nodes without z) that nodes refer to,
+ * including the config nodes those refer to in turn
+ * @param {Array} flows - Flows to look up the config nodes in
+ * @param {Array} nodes - Nodes whose references to follow
+ * @returns {Array} Referenced config nodes
+ */
+export function findReferencedConfigs(flows, nodes) {
+  const configs = new Map();
+  flows.forEach((node) => {
+    const isGlobalConfig =
+      !node.z && node.type !== "tab" && node.type !== "subflow";
+    if (isGlobalConfig && !configs.has(node.id)) configs.set(node.id, node);
+  });
+
+  const seen = new Set(nodes.map((node) => node.id));
+  const referenced = [];
+  const follow = (node) => {
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === "id") return;
+      [value].flat().forEach((ref) => {
+        if (typeof ref !== "string" || !configs.has(ref) || seen.has(ref)) {
+          return;
+        }
+        seen.add(ref);
+        referenced.push(configs.get(ref));
+        follow(configs.get(ref));
+      });
+    });
+  };
+  nodes.forEach(follow);
+  return referenced;
+}
+
+/**
+ * Normalize the supported flow JSON formats into a flat flows array.
+ * Accepts a flows array, the `{rev, flows}` v2 format, or a single flow
+ * object as used by `/flow/:id` (`{id, label, nodes, configs}`).
+ * @param {any} data - Parsed flow JSON
+ * @returns {Object} Flat flows array and, for single flows, the flow ID
+ */
+export function normalizeFlows(data) {
+  if (Array.isArray(data)) {
+    return { flows: data, flowId: null };
+  }
+  if (data && Array.isArray(data.flows)) {
+    return { flows: data.flows, flowId: null };
+  }
+  if (data && typeof data === "object" && data.id) {
+    const { nodes = [], configs = [], subflows = [], ...tab } = data;
+    return {
+      flows: [
+        { type: "tab", ...tab },
+        ...nodes.map((node) => ({ ...node, z: node.z || tab.id })),
+        ...configs,
+        ...subflows,
+      ],
+      flowId: tab.id,
+    };
+  }
+  throw new Error("Unrecognized flow format: expected an array or a flow object");
+}
+
+/**
+ * Compare two flow configurations by node ID
+ * @param {Array} before - Flows before the change
+ * @param {Array} after - Flows after the change
+ * @param {Object} options - Comparison options (ignorePositions)
+ * @returns {Object} Added, removed and modified tabs, nodes and wires
+ */
+export function diffFlows(before, after, options = {}) {
+  const beforeIndex = indexById(before);
+  const afterIndex = indexById(after);
+
+  const result = {
+    tabs: { added: [], removed: [], modified: [] },
+    nodes: { added: [], removed: [], modified: [] },
+    wires: { added: [], removed: [] },
+  };
+  const isTab = (node) => node.type === "tab" || node.type === "subflow";
+
+  afterIndex.forEach((node, id) => {
+    const group = isTab(node) ? result.tabs : result.nodes;
+    const previous = beforeIndex.get(id);
+    if (!previous) {
+      group.added.push(describeNode(node));
+      return;
+    }
+    const changes = diffProperties(previous, node, options);
+    if (changes.length > 0) {
+      group.modified.push({ ...describeNode(node), changes });
+    }
+  });
+
+  beforeIndex.forEach((node, id) => {
+    if (!afterIndex.has(id)) {
+      const group = isTab(node) ? result.tabs : result.nodes;
+      group.removed.push(describeNode(node));
+    }
+  });
+
+  const beforeWires = collectWires(before);
+  const afterWires = collectWires(after);
+  afterWires.forEach((key) => {
+    if (!beforeWires.has(key)) result.wires.added.push(parseWireKey(key));
+  });
+  beforeWires.forEach((key) => {
+    if (!afterWires.has(key)) result.wires.removed.push(parseWireKey(key));
+  });
+
+  return result;
+}
+
+/**
+ * Check whether a comparison found any change
+ * @param {Object} diff - Result of diffFlows
+ * @returns {boolean} True if nothing changed
+ */
+export function isEmptyDiff(diff) {
+  return [diff.tabs, diff.nodes, diff.wires].every((group) =>
+    Object.values(group).every((items) => items.length === 0)
+  );
+}
+
+/**
+ * Shorten a property value for display
+ * @param {any} value - Property value
+ * @returns {string} Display value
+ */
+function formatValue(value) {
+  if (value === undefined) return "(unset)";
+  const text = JSON.stringify(value);
+  return text.length > 80 ? text.substring(0, 77) + "..." : text;
+}
+
+/**
+ * Format a flow comparison as readable text
+ * @param {Object} diff - Result of diffFlows
+ * @param {Object} options - Formatting options (details: include property changes)
+ * @returns {string} Change report
+ */
+export function formatDiffSummary(diff, options = {}) {
+  const lines = [];
+  const sections = [
+    ["Tabs", diff.tabs],
+    ["Nodes", diff.nodes],
+  ];
+
+  sections.forEach(([title, group]) => {
+    lines.push(
+      `${title}: ${group.added.length} added, ${group.removed.length} removed, ${group.modified.length} modified`
+    );
+    ["added", "removed", "modified"].forEach((kind) => {
+      group[kind].forEach((node) => {
+        const label = node.name ? ` "${node.name}"` : "";
+        lines.push(`  ${kind}: ${node.type}${label} (ID: ${node.id})`);
+        if (options.details && node.changes) {
+          node.changes.forEach((change) => {
+            lines.push(
+              `    ${change.property}: ${formatValue(
+                change.before
+              )} -> ${formatValue(change.after)}`
+            );
+          });
+        }
+      });
+    });
+  });
+
+  if (diff.wires) {
+    lines.push(
+      `Wires: ${diff.wires.added.length} added, ${diff.wires.removed.length} removed`
+    );
+    ["added", "removed"].forEach((kind) => {
+      diff.wires[kind].forEach((wire) => {
+        lines.push(
+          `  ${kind}: ${wire.source} [output ${wire.port + 1}] -> ${wire.target}`
+        );
+      });
+    });
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,294 @@
+/**
+ * Message-flow graph of Node-RED flows with Mermaid and Graphviz export
+ */
+
+// Node types that don't take part in message flow
+const HIDDEN_TYPES = ["tab", "subflow", "group", "comment"];
+
+/**
+ * Check whether a node is a config node
+ * @param {Object} node - Node-RED node
+ * @returns {boolean} True for config nodes
+ */
+function isConfigNode(node) {
+  return (
+    !HIDDEN_TYPES.includes(node.type) &&
+    !Array.isArray(node.wires) &&
+    node.x === undefined
+  );
+}
+
+/**
+ * Build a display label for a node
+ * @param {Object} node - Node-RED node
+ * @param {Map<string, Object>} index - Nodes by ID
+ * @returns {string} Label
+ */
+function nodeLabel(node, index) {
+  let type = node.type;
+  if (type.startsWith("subflow:")) {
+    const subflow = index.get(type.substring(8));
+    type = `subflow: ${subflow?.name || type.substring(8)}`;
+  }
+  return node.name ? `${type}: ${node.name}` : type;
+}
+
+/**
+ * Build the message-flow graph of a set of flows
+ * @param {Array} flows - Array of Node-RED flow nodes
+ * @param {Object} options - Graph options
+ * @param {string} [options.tabId] - Only include this tab or subflow
+ * @param {boolean} [options.collapseConfigNodes] - Leave config nodes out of the graph
+ * @returns {Object} Containers (tabs/subflows), nodes and edges
+ */
+export function buildFlowGraph(flows, options = {}) {
+  const index = new Map(flows.map((node) => [node.id, node]));
+  const configIds = new Set(
+    flows.filter((node) => isConfigNode(node)).map((node) => node.id)
+  );
+
+  // Edges from wires, link nodes, subflow instances and config references
+  const edges = [];
+  flows.forEach((node) => {
+    if (HIDDEN_TYPES.includes(node.type)) return;
+
+    const outputs = Array.isArray(node.wires) ? node.wires : [];
+    outputs.forEach((targets, port) => {
+      (targets || []).forEach((target) => {
+        if (index.has(target)) {
+          edges.push({
+            from: node.id,
+            to: target,
+            kind: "wire",
+            port: outputs.length > 1 ? port + 1 : null,
+          });
+        }
+      });
+    });
+
+    if (
+      (node.type === "link out" || node.type === "link call") &&
+      Array.isArray(node.links)
+    ) {
+      node.links.forEach((target) => {
+        if (index.has(target)) {
+          edges.push({ from: node.id, to: target, kind: "link" });
+        }
+      });
+    }
+
+    if (node.type.startsWith("subflow:") && index.has(node.type.substring(8))) {
+      edges.push({ from: node.id, to: node.type.substring(8), kind: "subflow" });
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key !== "id" && key !== "z" && configIds.has(value)) {
+        edges.push({ from: node.id, to: value, kind: "config", property: key });
+      }
+    });
+  });
+
+  // Nodes in scope
+  const included = new Set(
+    flows
+      .filter(
+        (node) =>
+          !HIDDEN_TYPES.includes(node.type) &&
+          !configIds.has(node.id) &&
+          (!options.tabId || node.z === options.tabId)
+      )
+      .map((node) => node.id)
+  );
+
+  // Show the other end of links leaving the scope
+  edges
+    .filter((edge) => edge.kind === "link")
+    .forEach((edge) => {
+      if (included.has(edge.from)) included.add(edge.to);
+      else if (included.has(edge.to)) included.add(edge.from);
+    });
+
+  if (!options.collapseConfigNodes) {
+    edges
+      .filter((edge) => edge.kind === "config" && included.has(edge.from))
+      .forEach((edge) => included.add(edge.to));
+  }
+
+  const containerIds = new Set();
+  const nodes = [...included].map((id) => {
+    const node = index.get(id);
+    const container = index.get(node.z);
+    if (container) containerIds.add(container.id);
+    return {
+      id,
+      label: nodeLabel(node, index),
+      container: container ? container.id : null,
+      config: configIds.has(id),
+    };
+  });
+
+  // Subflow instances point at the subflow container
+  edges
+    .filter((edge) => edge.kind === "subflow" && included.has(edge.from))
+    .forEach((edge) => containerIds.add(edge.to));
+
+  const containers = [...containerIds].map((id) => {
+    const container = index.get(id);
+    return {
+      id,
+      type: container.type,
+      label: container.label || container.name || id,
+    };
+  });
+
+  return {
+    containers,
+    nodes,
+    edges: edges.filter(
+      (edge) =>
+        included.has(edge.from) &&
+        (included.has(edge.to) ||
+          (edge.kind === "subflow" && containerIds.has(edge.to)))
+    ),
+  };
+}
+
+/**
+ * Build a Mermaid-safe identifier
+ * @param {string} prefix - Identifier prefix
+ * @param {string} id - Node-RED ID
+ * @returns {string} Identifier
+ */
+function mermaidId(prefix, id) {
+  return `${prefix}_${String(id).replace(/[^a-zA-Z0-9_]/g, "_")}`;
+}
+
+/**
+ * Escape a Mermaid label
+ * @param {string} text - Label text
+ * @returns {string} Escaped label
+ */
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, "#quot;");
+}
+
+/**
+ * Export a flow graph as a Mermaid flowchart
+ * @param {Object} graph - Result of buildFlowGraph
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(graph) {
+  const lines = ["flowchart LR"];
+  const renderNode = (node, indent) => {
+    const shape = node.config
+      ? `[("${mermaidLabel(node.label)}")]`
+      : `["${mermaidLabel(node.label)}"]`;
+    lines.push(`${indent}${mermaidId("n", node.id)}${shape}`);
+  };
+
+  graph.containers.forEach((container) => {
+    lines.push(
+      `  subgraph ${mermaidId(container.type, container.id)}["${mermaidLabel(
+        container.label
+      )}"]`
+    );
+    graph.nodes
+      .filter((node) => node.container === container.id)
+      .forEach((node) => renderNode(node, "    "));
+    lines.push("  end");
+  });
+  graph.nodes
+    .filter((node) => !node.container)
+    .forEach((node) => renderNode(node, "  "));
+
+  graph.edges.forEach((edge) => {
+    const from = mermaidId("n", edge.from);
+    if (edge.kind === "wire") {
+      const label = edge.port ? `|${edge.port}|` : "";
+      lines.push(`  ${from} -->${label} ${mermaidId("n", edge.to)}`);
+    } else if (edge.kind === "link") {
+      lines.push(`  ${from} -.->|link| ${mermaidId("n", edge.to)}`);
+    } else if (edge.kind === "subflow") {
+      lines.push(`  ${from} -.->|instance of| ${mermaidId("subflow", edge.to)}`);
+    } else if (edge.kind === "config") {
+      lines.push(`  ${from} -.- ${mermaidId("n", edge.to)}`);
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Quote a Graphviz identifier or label
+ * @param {string} text - Text to quote
+ * @returns {string} Quoted text
+ */
+function dotQuote(text) {
+  return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Export a flow graph in Graphviz DOT format
+ * @param {Object} graph - Result of buildFlowGraph
+ * @returns {string} DOT source
+ */
+export function toDot(graph) {
+  const lines = [
+    'digraph "Node-RED" {',
+    "  rankdir=LR;",
+    "  compound=true;",
+    "  node [shape=box];",
+  ];
+  const renderNode = (node, indent) => {
+    const attributes = [`label=${dotQuote(node.label)}`];
+    if (node.config) attributes.push("shape=cylinder");
+    lines.push(`${indent}${dotQuote(node.id)} [${attributes.join(", ")}];`);
+  };
+
+  graph.containers.forEach((container) => {
+    lines.push(`  subgraph ${dotQuote("cluster_" + container.id)} {`);
+    lines.push(`    label=${dotQuote(container.label)};`);
+    if (container.type === "subflow") lines.push("    style=dashed;");
+    const members = graph.nodes.filter(
+      (node) => node.container === container.id
+    );
+    members.forEach((node) => renderNode(node, "    "));
+    if (members.length === 0) {
+      // Empty clusters are not drawn, keep an anchor for instance edges
+      lines.push(
+        `    ${dotQuote(container.id)} [label=${dotQuote(
+          container.label
+        )}, shape=component];`
+      );
+    }
+    lines.push("  }");
+  });
+  graph.nodes
+    .filter((node) => !node.container)
+    .forEach((node) => renderNode(node, "  "));
+
+  graph.edges.forEach((edge) => {
+    const from = dotQuote(edge.from);
+    if (edge.kind === "wire") {
+      const label = edge.port ? ` [label=${dotQuote(edge.port)}]` : "";
+      lines.push(`  ${from} -> ${dotQuote(edge.to)}${label};`);
+    } else if (edge.kind === "link") {
+      lines.push(`  ${from} -> ${dotQuote(edge.to)} [style=dashed, label="link"];`);
+    } else if (edge.kind === "subflow") {
+      const members = graph.nodes.filter((node) => node.container === edge.to);
+      const target = members.length ? members[0].id : edge.to;
+      lines.push(
+        `  ${from} -> ${dotQuote(target)} [style=dotted, label="instance of", lhead=${dotQuote(
+          "cluster_" + edge.to
+        )}];`
+      );
+    } else if (edge.kind === "config") {
+      lines.push(
+        `  ${from} -> ${dotQuote(edge.to)} [style=dotted, arrowhead=none];`
+      );
+    }
+  });
+
+  lines.push("}");
+  return lines.join("\n");
+}
@@ -0,0 +1,116 @@
+/**
+ * Import of exported Node-RED flow JSON with regenerated node IDs
+ */
+
+import { generateNodeId } from "./utils.mjs";
+
+/**
+ * Check whether a node is a config node (not placed on a tab)
+ * @param {Object} node - Node-RED node
+ * @returns {boolean} True for config nodes
+ */
+function isConfigNode(node) {
+  return (
+    node.type !== "tab" &&
+    node.type !== "subflow" &&
+    !Array.isArray(node.wires) &&
+    node.x === undefined
+  );
+}
+
+/**
+ * Rewrite every ID reference of a node using an ID map
+ * @param {Object} node - Node-RED node
+ * @param {Map<string, string>} idMap - Old ID to new ID
+ * @returns {Object} Copy of the node with new IDs
+ */
+function remapNode(node, idMap) {
+  const copy = JSON.parse(JSON.stringify(node));
+  const mapId = (id) => (idMap.has(id) ? idMap.get(id) : id);
+
+  Object.entries(copy).forEach(([key, value]) => {
+    if (key === "wires" && Array.isArray(value)) {
+      // Wires can only point at nodes imported together
+      copy.wires = value.map((targets) =>
+        (targets || []).filter((t) => idMap.has(t)).map((t) => idMap.get(t))
+      );
+    } else if (key === "type" && value.startsWith("subflow:")) {
+      copy.type = "subflow:" + mapId(value.substring(8));
+    } else if (typeof value === "string") {
+      // id, z, g, config node references
+      copy[key] = mapId(value);
+    } else if (
+      Array.isArray(value) &&
+      value.every((item) => typeof item === "string")
+    ) {
+      // links, group members, catch/status scopes
+      copy[key] = value.map(mapId);
+    }
+  });
+
+  // Subflow input, output and status ports
+  if (copy.type === "subflow") {
+    const ports = [...(copy.in || []), ...(copy.out || [])];
+    if (copy.status) ports.push(copy.status);
+    ports.forEach((port) => {
+      (port.wires || []).forEach((wire) => {
+        wire.id = mapId(wire.id);
+      });
+    });
+  }
+
+  return copy;
+}
+
+/**
+ * Prepare exported flow JSON for import: regenerate every node ID and
+ * place the nodes on a target tab.
+ *
+ * Tabs in the snippet are dropped when a target tab is given (their nodes
+ * move to the target) and imported as new tabs otherwise. Config nodes that
+ * already exist in the live flows are reused instead of duplicated.
+ * @param {Array} snippet - Exported nodes
+ * @param {Array} liveFlows - Current flows
+ * @param {string|null} targetTabId - Tab to place the nodes on (optional)
+ * @returns {Object} New nodes, the ID map and the number of reused config nodes
+ */
+export function prepareImport(snippet, liveFlows, targetTabId = null) {
+  const liveIds = new Set(liveFlows.map((node) => node.id));
+  const snippetIds = new Set(snippet.map((node) => node.id));
+  const snippetTabs = new Set(
+    snippet.filter((node) => node.type === "tab").map((node) => node.id)
+  );
+
+  const reused = snippet.filter(
+    (node) => !node.z && isConfigNode(node) && liveIds.has(node.id)
+  );
+  const reusedIds = new Set(reused.map((node) => node.id));
+
+  const nodes = snippet
+    .filter((node) => !reusedIds.has(node.id))
+    .filter((node) => !(targetTabId && node.type === "tab"))
+    .map((node) => {
+      if (node.type === "tab" || node.type === "subflow") return node;
+
+      // Nodes of dropped tabs and nodes without a tab go to the target tab
+      const onDroppedTab = targetTabId && snippetTabs.has(node.z);
+      const orphan = node.z ? !snippetIds.has(node.z) : !isConfigNode(node);
+      if (!onDroppedTab && !orphan) return node;
+
+      if (!targetTabId) {
+        throw new Error(
+          `Node ${node.id} is not on a tab of the snippet, specify a target tab`
+        );
+      }
+      return { ...node, z: targetTabId };
+    });
+
+  const idMap = new Map();
+  nodes.forEach((node) => idMap.set(node.id, generateNodeId()));
+
+  return {
+    nodes: nodes.map((node) => remapNode(node, idMap)),
+    idMap,
+    reusedConfigs: reused.length,
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * End-to-end flow tests: trigger inject nodes and check debug output
+ *
+ * A test case looks like:
+ * {
+ *   "name": "temperature-alert",
+ *   "inject": [{ "nodeId": "a1b2", "msg": { "payload": 42 }, "types": { "payload": "num" } }],
+ *   "expect": [{ "nodeId": "c3d4", "path": "$.alert", "equals": true }],
+ *   "timeout": 5000
+ * }
+ */
+
+// Default time to wait for expected messages
+const DEFAULT_TIMEOUT = 5000;
+
+// Interval for checking received messages
+const POLL_INTERVAL = 100;
+
+// Supported checks on a message value
+const OPERATORS = [
+  "equals",
+  "notEquals",
+  "contains",
+  "matches",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "exists",
+];
+
+/**
+ * Validate the structure of a test case
+ * @param {Object} test - Test case
+ * @returns {Object} The test case
+ */
+export function validateTestCase(test) {
+  if (!test || typeof test !== "object") {
+    throw new Error("Test case must be a JSON object");
+  }
+  if (!test.name || !/^[a-zA-Z0-9_\-]{1,50}$/.test(test.name)) {
+    throw new Error(
+      "Test name must be 1-50 characters, letters/numbers/underscores/hyphens only"
+    );
+  }
+  if (!Array.isArray(test.inject) || test.inject.length === 0) {
+    throw new Error("Test case needs at least one inject step");
+  }
+  if (!Array.isArray(test.expect) || test.expect.length === 0) {
+    throw new Error("Test case needs at least one expectation");
+  }
+  test.inject.forEach((step) => {
+    if (!step.nodeId) throw new Error("Each inject step needs a nodeId");
+  });
+  test.expect.forEach((expectation) => {
+    if (!expectation.nodeId) {
+      throw new Error("Each expectation needs a debug nodeId");
+    }
+  });
+  return test;
+}
+
+/**
+ * Read a value by JSON path (e.g. "$.payload.items[0].name")
+ * @param {any} value - Root value
+ * @param {string} [jsonPath] - Path, "$" or empty for the root
+ * @returns {any} Value at the path, or undefined
+ */
+export function getPath(value, jsonPath) {
+  if (!jsonPath || jsonPath === "$") return value;
+  const segments = jsonPath
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .replace(/\[["']([^"']+)["']\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+
+  return segments.reduce(
+    (current, segment) =>
+      current !== null && current !== undefined ? current[segment] : undefined,
+    value
+  );
+}
+
+/**
+ * Compare two values structurally
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if equal
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Check whether a value contains another (substring, array item or object subset)
+ * @param {any} value - Actual value
+ * @param {any} expected - Expected content
+ * @returns {boolean} True if contained
+ */
+function contains(value, expected) {
+  if (typeof value === "string") return value.includes(String(expected));
+  if (Array.isArray(value)) return value.some((item) => deepEqual(item, expected));
+  if (value && typeof value === "object" && expected && typeof expected === "object") {
+    return Object.entries(expected).every(([key, item]) =>
+      deepEqual(value[key], item)
+    );
+  }
+  return false;
+}
+
+/**
+ * Check a value against the operators of an expectation
+ * @param {any} value - Value at the expectation path
+ * @param {Object} expectation - Expectation
+ * @returns {boolean} True if every operator matches
+ */
+function matchesExpectation(value, expectation) {
+  return OPERATORS.filter((operator) => operator in expectation).every(
+    (operator) => {
+      const expected = expectation[operator];
+      switch (operator) {
+        case "equals":
+          return deepEqual(value, expected);
+        case "notEquals":
+          return !deepEqual(value, expected);
+        case "contains":
+          return contains(value, expected);
+        case "matches":
+          return new RegExp(expected).test(
+            typeof value === "string" ? value : JSON.stringify(value)
+          );
+        case "gt":
+          return value > expected;
+        case "gte":
+          return value >= expected;
+        case "lt":
+          return value < expected;
+        case "lte":
+          return value <= expected;
+        case "exists":
+          return (value !== undefined) === Boolean(expected);
+        default:
+          return false;
+      }
+    }
+  );
+}
+
+/**
+ * Evaluate an expectation against the messages received from its debug node
+ * @param {Object} expectation - Expectation
+ * @param {Array<Object>} messages - Debug messages of the node
+ * @returns {Object} Result with passed flag and number of matching messages
+ */
+function evaluateExpectation(expectation, messages) {
+  const matching = messages.filter((message) =>
+    matchesExpectation(getPath(message.value, expectation.path), expectation)
+  );
+  const minCount = expectation.count ?? 1;
+  return {
+    passed: matching.length >= minCount,
+    received: messages.length,
+    matched: matching.length,
+    lastValue: messages.length
+      ? getPath(messages[messages.length - 1].value, expectation.path)
+      : undefined,
+  };
+}
+
+/**
+ * Describe an expectation for reports
+ * @param {Object} expectation - Expectation
+ * @returns {string} Description
+ */
+function describeExpectation(expectation) {
+  const checks = OPERATORS.filter((operator) => operator in expectation).map(
+    (operator) => `${operator} ${JSON.stringify(expectation[operator])}`
+  );
+  const target = expectation.path ? ` ${expectation.path}` : "";
+  return `${expectation.nodeId}${target} ${
+    checks.length ? checks.join(", ") : "receives a message"
+  }`;
+}
+
+/**
+ * Run a test case
+ * @param {Object} test - Test case
+ * @param {Object} runtime - Runtime access
+ * @param {Object} runtime.comms - Connected comms client
+ * @param {Function} runtime.inject - Triggers an inject step ({nodeId, msg, types})
+ * @param {number} [timeoutOverride] - Timeout in milliseconds
+ * @returns {Promise<Object>} Test report
+ */
+export async function runFlowTest(test, runtime, timeoutOverride) {
+  const timeout = timeoutOverride || test.timeout || DEFAULT_TIMEOUT;
+  const startedAt = Date.now();
+
+  for (const step of test.inject) {
+    await runtime.inject(step);
+  }
+
+  let results;
+  for (;;) {
+    const messages = runtime.comms.getDebugMessages({ since: startedAt });
+    results = test.expect.map((expectation) =>
+      evaluateExpectation(
+        expectation,
+        messages.filter((message) => message.nodeId === expectation.nodeId)
+      )
+    );
+    if (
+      results.every((result) => result.passed) ||
+      Date.now() - startedAt >= timeout
+    ) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+
+  return {
+    name: test.name,
+    passed: results.every((result) => result.passed),
+    duration: Date.now() - startedAt,
+    expectations: test.expect.map((expectation, index) => ({
+      description: describeExpectation(expectation),
+      ...results[index],
+    })),
+  };
+}
+
+/**
+ * Format test reports as readable text
+ * @param {Array<Object>} reports - Results of runFlowTest
+ * @returns {string} Pass/fail report
+ */
+export function formatTestReport(reports) {
+  const passed = reports.filter((report) => report.passed).length;
+  const lines = [`Flow tests: ${passed}/${reports.length} passed`, ""];
+
+  reports.forEach((report) => {
+    lines.push(
+      `${report.passed ? "✅ PASS" : "❌ FAIL"} ${report.name} (${report.duration}ms)`
+    );
+    report.expectations.forEach((result) => {
+      lines.push(`  ${result.passed ? "✅" : "❌"} ${result.description}`);
+      if (!result.passed) {
+        lines.push(
+          result.received === 0
+            ? "     no message received"
+            : `     ${result.received} message(s) received, ${
+                result.matched
+              } matched; last value: ${JSON.stringify(result.lastValue)}`
+        );
+      }
+    });
+  });
+
+  return lines.join("\n");
+}
@@ -0,0 +1,370 @@
+/**
+ * Pre-deploy checks for Node-RED flow configurations
+ */
+
+import { BUILTIN_TYPES } from "./node-registry.mjs";
+
+// Properties holding structure rather than configuration
+const STRUCTURAL_PROPERTIES = ["id", "type", "z", "g", "wires", "links"];
+
+// Node IDs as generated by the editor: 16 hex characters, or the older "xxxxxxxx.xxxxxx" format
+const NODE_ID_PATTERN = /^([0-9a-f]{16}|[0-9a-f]{8}\.[0-9a-f]{1,6})$/;
+
+/**
+ * Check whether a node is a tab or subflow definition
+ * @param {Object} node - Node-RED node
+ * @returns {boolean} True for tabs and subflows
+ */
+function isContainer(node) {
+  return node.type === "tab" || node.type === "subflow";
+}
+
+/**
+ * Check whether a node is a config node (not placed on a tab)
+ * @param {Object} node - Node-RED node
+ * @param {Map<string, Object>} index - Nodes by ID
+ * @returns {boolean} True for config nodes
+ */
+function isConfigNode(node, index) {
+  if (isContainer(node) || BUILTIN_TYPES.includes(node.type)) return false;
+  if (!node.z) return true;
+  // Config nodes scoped to a tab have a z but no wires or position
+  return !Array.isArray(node.wires) && node.x === undefined && index.has(node.z);
+}
+
+/**
+ * Check whether a property value is empty
+ * @param {any} value - Property value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Get the config node type a property refers to
+ * @param {Object} definition - Property definition from the type's defaults
+ * @param {Map<string, Object>} installedTypes - Installed node types by name
+ * @returns {string|null} Config node type, or null if the property holds no
+ *   config node reference
+ */
+function getConfigReferenceType(definition, installedTypes) {
+  const type = definition?.type;
+  // Types like "*[]" (scope of catch, status and complete) describe the value
+  if (typeof type !== "string" || type.startsWith("*") || type.endsWith("[]")) {
+    return null;
+  }
+  return installedTypes.get(type)?.isConfig ? type : null;
+}
+
+/**
+ * Check a node against the defaults and outputs of its installed type
+ * @param {Object} node - Node-RED node
+ * @param {Object} schema - Node type schema (from parseNodeRegistry); issues
+ *   are errors only if it was parsed completely
+ * @param {Map<string, Object>} index - Nodes by ID
+ * @param {Map<string, Object>} installedTypes - Installed node types by name
+ * @param {Function} report - Issue reporter (severity, node, message)
+ */
+function checkNodeSchema(node, schema, index, installedTypes, report) {
+  // A definition the registry could only partly parse may be wrong
+  const severity = schema.complete ? "error" : "warning";
+
+  Object.entries(schema.defaults || {}).forEach(([property, definition]) => {
+    const value = node[property];
+
+    // Config node references
+    const configType = getConfigReferenceType(definition, installedTypes);
+    if (configType) {
+      if (Array.isArray(value)) return;
+      if (isEmpty(value)) {
+        if (definition.required) {
+          report(
+            severity,
+            node,
+            `Node ${node.id} (${node.type}) has no "${configType}" config node set in property "${property}"`
+          );
+        }
+        return;
+      }
+      const referenced = index.get(value);
+      if (!referenced) {
+        report(
+          severity,
+          node,
+          `Node ${node.id} property "${property}" references missing config node ${value}`
+        );
+      } else if (referenced.type !== configType) {
+        report(
+          severity,
+          node,
+          `Node ${node.id} property "${property}" references ${value} of type "${referenced.type}", expected "${configType}"`
+        );
+      }
+      return;
+    }
+
+    if (definition.required && isEmpty(value)) {
+      // Without a usable default the node fails at runtime
+      if (isEmpty(definition.value)) {
+        report(
+          severity,
+          node,
+          `Node ${node.id} (${node.type}) is missing required property "${property}"`
+        );
+      } else {
+        report(
+          "warning",
+          node,
+          `Node ${node.id} (${node.type}) is missing required property "${property}" (default: ${JSON.stringify(
+            definition.value
+          )})`
+        );
+      }
+    }
+  });
+
+  // Nodes with a variable number of outputs store the count on the node
+  let outputs = schema.outputs;
+  if (schema.defaults?.outputs) {
+    outputs = node.outputs ?? schema.defaults.outputs.value ?? outputs;
+  }
+  outputs = Number(outputs);
+
+  if (node.type === "switch" && Array.isArray(node.rules)) {
+    if (node.rules.length !== outputs) {
+      report(
+        severity,
+        node,
+        `Switch node ${node.id} has ${node.rules.length} rule(s) but ${outputs} output(s); set outputs to the number of rules`
+      );
+    }
+  }
+
+  if (!Array.isArray(node.wires) || Number.isNaN(outputs)) return;
+  if (node.wires.length > outputs) {
+    report(
+      severity,
+      node,
+      `Node ${node.id} (${node.type}) has ${node.wires.length} wire output(s) but only ${outputs} output(s)`
+    );
+  } else if (node.wires.length < outputs) {
+    report(
+      "warning",
+      node,
+      `Node ${node.id} (${node.type}) has ${outputs} output(s) but only ${node.wires.length} wire output(s)`
+    );
+  }
+}
+
+/**
+ * Validate a flows array before it is deployed
+ * @param {Array} flows - Array of Node-RED flow nodes
+ * @param {Object} options - Validation options
+ * @param {Array<Object>} [options.registry] - Installed node types (from fetchNodeRegistry);
+ *   enables the type, required property, config node type and output checks
+ * @param {Array<string>} [options.installed] - Names of the installed node types
+ *   (from fetchInstalledModules); without them a type missing from the registry
+ *   is only a warning, as the registry is parsed from the editor HTML
+ * @returns {Array<Object>} Issues with severity ("error" or "warning"), nodeId and message
+ */
+export function validateFlows(flows, options = {}) {
+  const issues = [];
+  const report = (severity, node, message) => {
+    issues.push({
+      severity,
+      nodeId: node?.id,
+      type: node?.type,
+      z: node?.z,
+      message,
+    });
+  };
+
+  if (!Array.isArray(flows)) {
+    report("error", null, "Flows must be an array of nodes");
+    return issues;
+  }
+
+  // Duplicate and missing IDs
+  const index = new Map();
+  flows.forEach((node, position) => {
+    if (!node || typeof node !== "object") {
+      report("error", null, `Entry ${position} is not a node object`);
+      return;
+    }
+    if (!node.id) {
+      report("error", node, `Node at position ${position} has no id`);
+      return;
+    }
+    if (!node.type) {
+      report("error", node, `Node ${node.id} has no type`);
+    }
+    if (index.has(node.id)) {
+      report("error", node, `Duplicate node ID ${node.id}`);
+      return;
+    }
+    index.set(node.id, node);
+  });
+
+  const nodes = [...index.values()];
+  const installedTypes = options.registry
+    ? new Map(options.registry.map((entry) => [entry.name, entry]))
+    : null;
+  const installedNames = options.installed ? new Set(options.installed) : null;
+
+  nodes.forEach((node) => {
+    // Owning tab or subflow
+    if (node.z) {
+      const owner = index.get(node.z);
+      if (!owner || !isContainer(owner)) {
+        report(
+          "error",
+          node,
+          `Node ${node.id} belongs to missing tab or subflow ${node.z}`
+        );
+      }
+    }
+
+    // Group membership
+    if (node.g && index.get(node.g)?.type !== "group") {
+      report("warning", node, `Node ${node.id} is in missing group ${node.g}`);
+    }
+
+    // Wires
+    if (node.wires !== undefined && !Array.isArray(node.wires)) {
+      report("error", node, `Node ${node.id} has invalid wires (must be an array)`);
+    } else if (Array.isArray(node.wires)) {
+      node.wires.forEach((targets, port) => {
+        (Array.isArray(targets) ? targets : [targets]).forEach((target) => {
+          const targetNode = index.get(target);
+          if (!targetNode) {
+            report(
+              "error",
+              node,
+              `Node ${node.id} output ${port + 1} is wired to missing node ${target}`
+            );
+          } else if (targetNode.z !== node.z) {
+            report(
+              "error",
+              node,
+              `Node ${node.id} output ${port + 1} is wired to ${target} on another flow`
+            );
+          }
+        });
+      });
+    }
+
+    // Subflow instances
+    if (node.type?.startsWith("subflow:")) {
+      const subflowId = node.type.substring(8);
+      if (index.get(subflowId)?.type !== "subflow") {
+        report(
+          "error",
+          node,
+          `Node ${node.id} is an instance of missing subflow ${subflowId}`
+        );
+      }
+    } else if (
+      node.type &&
+      !isContainer(node) &&
+      !BUILTIN_TYPES.includes(node.type)
+    ) {
+      if (installedNames) {
+        if (!installedNames.has(node.type)) {
+          report(
+            "error",
+            node,
+            `Node ${node.id} has type "${node.type}" which is not installed`
+          );
+        }
+      } else if (installedTypes && !installedTypes.has(node.type)) {
+        report(
+          "warning",
+          node,
+          `Node ${node.id} has type "${node.type}" which was not found in the node definitions of Node-RED`
+        );
+      }
+    }
+
+    // Link node targets
+    if (Array.isArray(node.links)) {
+      const expected = {
+        "link out": ["link in"],
+        "link in": ["link out"],
+        "link call": ["link in"],
+      }[node.type];
+      node.links.forEach((linkId) => {
+        const linked = index.get(linkId);
+        if (!linked) {
+          report(
+            "warning",
+            node,
+            `Link node ${node.id} points at missing node ${linkId}`
+          );
+        } else if (expected && !expected.includes(linked.type)) {
+          report(
+            "warning",
+            node,
+            `Link node ${node.id} points at ${linkId} which is a "${linked.type}" node, expected ${expected.join(" or ")}`
+          );
+        }
+      });
+    }
+
+    // Properties, config node types and outputs of the installed type
+    const schema = installedTypes?.get(node.type);
+    if (schema) {
+      checkNodeSchema(node, schema, index, installedTypes, report);
+      return;
+    }
+
+    // Without the installed type, guess config node references from ID-like
+    // values. Only a warning: a token or hash can look like a node ID too.
+    Object.entries(node).forEach(([key, value]) => {
+      if (
+        STRUCTURAL_PROPERTIES.includes(key) ||
+        typeof value !== "string" ||
+        !NODE_ID_PATTERN.test(value)
+      ) {
+        return;
+      }
+      const referenced = index.get(value);
+      if (!referenced) {
+        report(
+          "warning",
+          node,
+          `Node ${node.id} property "${key}" looks like a reference to missing config node ${value}`
+        );
+      } else if (!isConfigNode(referenced, index) && !isContainer(referenced)) {
+        report(
+          "warning",
+          node,
+          `Node ${node.id} property "${key}" references ${value} which is not a config node`
+        );
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Format validation issues as readable text
+ * @param {Array<Object>} issues - Result of validateFlows
+ * @returns {string} Validation report
+ */
+export function formatValidationReport(issues) {
+  const errors = issues.filter((issue) => issue.severity === "error");
+  const warnings = issues.filter((issue) => issue.severity === "warning");
+
+  if (issues.length === 0) {
+    return "Validation passed: no issues found";
+  }
+
+  const lines = [
+    `Validation found ${errors.length} error(s), ${warnings.length} warning(s)`,
+  ];
+  errors.forEach((issue) => lines.push(`  ❌ ${issue.message}`));
+  warnings.forEach((issue) => lines.push(`  ⚠️ ${issue.message}`));
+  return lines.join("\n");
+}
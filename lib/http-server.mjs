@@ -0,0 +1,198 @@
+/**
+ * HTTP transport for the Node-RED MCP server
+ * Serves the MCP Streamable HTTP transport and the legacy SSE transport
+ * so that several MCP clients can share one server
+ */
+
+import http from "http";
+import crypto from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Send a JSON-RPC error response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendError(res, status, message) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code: -32000, message },
+      id: null,
+    })
+  );
+}
+
+// Largest request body accepted, in bytes, unless http.maxBodySize is set
+export const DEFAULT_MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {number} maxBodySize - Largest body accepted, in bytes
+ * @returns {Promise<any>} Parsed body, or undefined if empty
+ */
+async function readJsonBody(req, maxBodySize) {
+  const tooLarge = () =>
+    Object.assign(new Error(`Request body exceeds ${maxBodySize} bytes`), {
+      status: 413,
+    });
+  if (Number(req.headers["content-length"]) > maxBodySize) throw tooLarge();
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodySize) throw tooLarge();
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks).toString("utf8");
+  return body ? JSON.parse(body) : undefined;
+}
+
+/**
+ * Check the bearer token of an incoming request
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {string} authToken - Expected token (no check if empty)
+ * @returns {boolean} True if the request is authorized
+ */
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const expected = crypto.createHash("sha256").update(authToken).digest();
+  const received = crypto.createHash("sha256").update(match[1]).digest();
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Start an HTTP server exposing the MCP server to remote clients
+ * @param {Function} createMcpServer - Factory returning a new McpServer per session
+ * @param {Object} options - HTTP options (host, port, path, ssePath, messagesPath, authToken, maxBodySize)
+ * @returns {Promise<Object>} Object with the HTTP server and a close method
+ */
+export async function startHttpServer(createMcpServer, options) {
+  // Active transports by session ID
+  const sessions = new Map();
+
+  async function handleStreamableRequest(req, res, body) {
+    const sessionId = req.headers["mcp-session-id"];
+    let transport = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (transport && !(transport instanceof StreamableHTTPServerTransport)) {
+      sendError(res, 400, "Session uses a different transport");
+      return;
+    }
+
+    if (!transport) {
+      if (sessionId || req.method !== "POST" || !isInitializeRequest(body)) {
+        sendError(res, 400, "Bad Request: No valid session ID provided");
+        return;
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, transport);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) sessions.delete(transport.sessionId);
+      };
+      await createMcpServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseRequest(req, res) {
+    const transport = new SSEServerTransport(options.messagesPath, res);
+    sessions.set(transport.sessionId, transport);
+    res.on("close", () => {
+      sessions.delete(transport.sessionId);
+    });
+    await createMcpServer().connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url, body) {
+    const transport = sessions.get(url.searchParams.get("sessionId"));
+    if (!(transport instanceof SSEServerTransport)) {
+      sendError(res, 400, "No SSE session found for sessionId");
+      return;
+    }
+    await transport.handlePostMessage(req, res, body);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+      if (!isAuthorized(req, options.authToken)) {
+        res.writeHead(401, { "WWW-Authenticate": "Bearer" });
+        res.end("Unauthorized");
+        return;
+      }
+
+      const body =
+        req.method === "POST"
+          ? await readJsonBody(
+              req,
+              options.maxBodySize || DEFAULT_MAX_BODY_SIZE
+            )
+          : undefined;
+
+      if (url.pathname === options.path) {
+        await handleStreamableRequest(req, res, body);
+      } else if (url.pathname === options.ssePath && req.method === "GET") {
+        await handleSseRequest(req, res);
+      } else if (
+        url.pathname === options.messagesPath &&
+        req.method === "POST"
+      ) {
+        await handleSseMessage(req, res, url, body);
+      } else {
+        res.writeHead(404);
+        res.end("Not Found");
+      }
+    } catch (error) {
+      if (error.status) {
+        // Don't keep reading the rest of a rejected body
+        res.setHeader("Connection", "close");
+        sendError(res, error.status, error.message);
+        return;
+      }
+      sendError(
+        res,
+        error instanceof SyntaxError ? 400 : 500,
+        error instanceof SyntaxError ? "Parse error" : error.message
+      );
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(options.port, options.host, resolve);
+  });
+
+  /**
+   * Close all sessions and stop listening
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    for (const transport of sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    sessions.clear();
+    await new Promise((resolve) => httpServer.close(() => resolve()));
+  }
+
+  return { httpServer, close };
+}
@@ -0,0 +1,461 @@
+/**
+ * Registry of node types installed in Node-RED, parsed from the
+ * editor HTML returned by GET /nodes
+ */
+
+import { callNodeRed } from "./utils.mjs";
+
+// Types handled by the editor itself rather than registered by a module
+export const BUILTIN_TYPES = ["tab", "subflow", "group", "junction"];
+
+// Characters after which a "/" starts a regular expression literal
+const REGEX_PREFIX = "(,=:[!&|?{};+-*%<>~^";
+
+/**
+ * Find the end of a string, template, comment or regex literal
+ * @param {string} src - JavaScript source
+ * @param {number} i - Position to check
+ * @param {string} prev - Previous significant character
+ * @returns {number} Index after the literal, or -1 if none starts at i
+ */
+function skipLexeme(src, i, prev) {
+  const ch = src[i];
+  if (ch === "'" || ch === '"' || ch === "`") {
+    let j = i + 1;
+    while (j < src.length && src[j] !== ch) j += src[j] === "\\" ? 2 : 1;
+    return j + 1;
+  }
+  if (ch !== "/") return -1;
+  if (src[i + 1] === "/") {
+    const end = src.indexOf("\n", i);
+    return end === -1 ? src.length : end;
+  }
+  if (src[i + 1] === "*") {
+    const end = src.indexOf("*/", i + 2);
+    return end === -1 ? src.length : end + 2;
+  }
+  if (prev && !REGEX_PREFIX.includes(prev)) return -1;
+
+  let j = i + 1;
+  let inClass = false;
+  while (j < src.length && src[j] !== "\n") {
+    if (src[j] === "\\") {
+      j += 2;
+      continue;
+    }
+    if (src[j] === "[") inClass = true;
+    else if (src[j] === "]") inClass = false;
+    else if (src[j] === "/" && !inClass) break;
+    j++;
+  }
+  return j + 1;
+}
+
+/**
+ * Iterate over the code characters of JavaScript source, skipping
+ * strings, comments and regex literals
+ * @param {string} src - JavaScript source
+ * @param {number} [start] - Start position
+ * @yields {Array} Character and its index
+ */
+function* codeChars(src, start = 0) {
+  let prev = "";
+  let i = start;
+  while (i < src.length) {
+    const end = skipLexeme(src, i, prev);
+    if (end !== -1) {
+      const isComment = src[i] === "/" && "/*".includes(src[i + 1]);
+      if (!isComment) prev = '"';
+      i = end;
+      continue;
+    }
+    yield [src[i], i];
+    if (!/\s/.test(src[i])) prev = src[i];
+    i++;
+  }
+}
+
+/**
+ * Find the bracket closing the one at a position
+ * @param {string} src - JavaScript source
+ * @param {number} openIndex - Index of the opening bracket
+ * @returns {number} Index of the closing bracket, or -1
+ */
+function findClosing(src, openIndex) {
+  let depth = 0;
+  for (const [ch, i] of codeChars(src, openIndex)) {
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch) && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split source at a separator outside of brackets and literals
+ * @param {string} src - JavaScript source
+ * @param {string} separator - Separator character
+ * @param {boolean} [firstOnly] - Only split at the first separator
+ * @returns {Array<string>} Trimmed parts
+ */
+function splitTopLevel(src, separator, firstOnly = false) {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+  for (const [ch, i] of codeChars(src)) {
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch)) depth--;
+    else if (ch === separator && depth === 0) {
+      parts.push(src.slice(last, i));
+      last = i + 1;
+      if (firstOnly) break;
+    }
+  }
+  parts.push(src.slice(last));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Get the properties of an object literal as source text
+ * @param {string} src - Object literal source ("{...}")
+ * @returns {Object} Property name to value source; methods and spreads are skipped
+ */
+function objectProperties(src) {
+  const text = (src || "").trim();
+  if (!text.startsWith("{")) return {};
+
+  const properties = {};
+  splitTopLevel(text.slice(1, -1), ",").forEach((entry) => {
+    const parts = splitTopLevel(entry, ":", true);
+    if (parts.length !== 2 || !/^['"]?[\w$-]+['"]?$/.test(parts[0])) return;
+    properties[parts[0].replace(/^['"]|['"]$/g, "")] = parts[1];
+  });
+  return properties;
+}
+
+/**
+ * Evaluate a literal value (string, number, boolean, null, array, object)
+ * @param {string} [src] - Value source
+ * @returns {any} Value, or undefined for expressions that need evaluation
+ */
+function parseLiteral(src) {
+  const text = (src || "").trim();
+  const quoted = text.match(/^(['"`])([\s\S]*)\1$/);
+  if (quoted) {
+    return quoted[2].replace(/\\(.)/g, (_, ch) => (ch === "n" ? "\n" : ch));
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (text === "true" || text === "false") return text === "true";
+  if (text === "null") return null;
+  if (text.startsWith("[") && text.endsWith("]")) {
+    return splitTopLevel(text.slice(1, -1), ",").map(parseLiteral);
+  }
+  if (text.startsWith("{") && text.endsWith("}")) {
+    return Object.fromEntries(
+      Object.entries(objectProperties(text)).map(([key, value]) => [
+        key,
+        parseLiteral(value),
+      ])
+    );
+  }
+  return undefined;
+}
+
+/**
+ * Describe a property validator
+ * @param {string} src - Validator source
+ * @returns {string} Built-in validator call (e.g. RED.validators.number()) or "custom"
+ */
+function describeValidator(src) {
+  const text = src.replace(/\s+/g, " ").trim();
+  return /^RED\.validators\.\w+\(.{0,100}\)$/.test(text) ? text : "custom";
+}
+
+/**
+ * Parse the property definitions of defaults or credentials
+ * @param {string} [src] - Object literal source
+ * @returns {Object} Property name to {value, required, type, validate}
+ */
+function parseProperties(src) {
+  return Object.fromEntries(
+    Object.entries(objectProperties(src)).map(([name, propertySrc]) => {
+      const property = objectProperties(propertySrc);
+      const schema = {};
+      if ("value" in property) schema.value = parseLiteral(property.value);
+      if ("required" in property) {
+        schema.required = parseLiteral(property.required) === true;
+      }
+      if ("type" in property) schema.type = parseLiteral(property.type);
+      if ("validate" in property) {
+        schema.validate = describeValidator(property.validate);
+      }
+      return [name, schema];
+    })
+  );
+}
+
+/**
+ * Check that every entry of an object literal is a plain property
+ * @param {string} [src] - Object literal source
+ * @returns {boolean} False for other expressions and for methods or spreads
+ */
+function isPlainObject(src) {
+  const text = (src || "").trim();
+  return (
+    text.startsWith("{") &&
+    splitTopLevel(text.slice(1, -1), ",").length ===
+      Object.keys(objectProperties(text)).length
+  );
+}
+
+/**
+ * Check that property definitions were parsed without computed parts
+ * @param {string} [src] - Object literal source of defaults or credentials
+ * @returns {boolean} True if all values, required flags and types are literals
+ */
+function isLiteralProperties(src) {
+  return (
+    isPlainObject(src) &&
+    Object.values(objectProperties(src)).every((propertySrc) => {
+      const property = objectProperties(propertySrc);
+      return (
+        isPlainObject(propertySrc) &&
+        ["value", "required", "type"].every(
+          (key) =>
+            !(key in property) || parseLiteral(property[key]) !== undefined
+        )
+      );
+    })
+  );
+}
+
+/**
+ * Parse a node definition passed to RED.nodes.registerType
+ * @param {string} src - Definition object literal source
+ * @returns {Object} Category, defaults, credentials, inputs, outputs, config
+ *   flag and whether category, outputs and defaults were parsed completely
+ */
+function parseDefinition(src) {
+  const properties = objectProperties(src);
+  const category = parseLiteral(properties.category);
+  // Computed port counts are left undefined
+  const outputs =
+    "outputs" in properties ? parseLiteral(properties.outputs) : 0;
+  return {
+    category,
+    isConfig: category === "config",
+    inputs: "inputs" in properties ? parseLiteral(properties.inputs) : 0,
+    outputs,
+    defaults: parseProperties(properties.defaults),
+    credentials: parseProperties(properties.credentials),
+    complete:
+      typeof category === "string" &&
+      typeof outputs === "number" &&
+      (!("defaults" in properties) || isLiteralProperties(properties.defaults)),
+  };
+}
+
+/**
+ * Find the RED.nodes.registerType calls in module HTML
+ * @param {string} moduleHtml - HTML of the module
+ * @returns {Array<Object>} Type names with their definition source (if literal)
+ */
+function findRegisterTypeCalls(moduleHtml) {
+  const calls = [];
+  const callPattern = /registerType\s*\(\s*(['"])(.+?)\1\s*,?\s*/g;
+  let match;
+  while ((match = callPattern.exec(moduleHtml)) !== null) {
+    const start = callPattern.lastIndex;
+    let definition = null;
+    if (moduleHtml[start] === "{") {
+      const end = findClosing(moduleHtml, start);
+      if (end !== -1) {
+        definition = moduleHtml.slice(start, end + 1);
+        callPattern.lastIndex = end + 1;
+      }
+    }
+    calls.push({ name: match[2], definition });
+  }
+  return calls;
+}
+
+/**
+ * Decode HTML entities
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  const named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'", nbsp: " " };
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      return String.fromCodePoint(
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10)
+      );
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert node help HTML to markdown
+ * @param {string} html - Help HTML
+ * @returns {string} Markdown
+ */
+export function helpToMarkdown(html) {
+  const stripTags = (text) => text.replace(/<[^>]+>/g, "");
+  const blocks = [];
+
+  // Code blocks are kept verbatim
+  let text = html.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) => {
+    blocks.push("```\n" + decodeEntities(stripTags(code)).trim() + "\n```");
+    return `\n\n\u0000${blocks.length - 1}\u0000\n\n`;
+  });
+
+  // Line breaks in the HTML source carry no meaning
+  text = text
+    .replace(/\s+/g, " ")
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, title) => {
+      return `\n\n${"#".repeat(Number(level))} ${title.trim()}\n\n`;
+    })
+    // Message properties: <dt>payload <span class="property-type">string</span></dt>
+    .replace(/<dt[^>]*>([\s\S]*?)<\/dt>/gi, (_, term) => {
+      const type = term.match(/<span[^>]*property-type[^>]*>([\s\S]*?)<\/span>/i);
+      const name = stripTags(term.replace(/<span[\s\S]*?<\/span>/gi, "")).trim();
+      return `\n- **${name}**${type ? ` (${stripTags(type[1]).trim()})` : ""}`;
+    })
+    .replace(/<dd[^>]*>([\s\S]*?)<\/dd>/gi, (_, description) => {
+      return `\u0001${description.replace(/<\/?p[^>]*>/gi, " ").trim()}`;
+    })
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, "`$1`")
+    .replace(/<(strong|b)>([\s\S]*?)<\/\1>/gi, "**$2**")
+    .replace(/<(em|i)>([\s\S]*?)<\/\1>/gi, "*$2*")
+    .replace(/<a[^>]+href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, "[$2]($1)")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|ul|ol|dl)[^>]*>/gi, "\n\n");
+
+  return decodeEntities(stripTags(text))
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/\s*\u0001/g, ": ")
+    .replace(/(\n- [^\n]*)\n\n+(?=- )/g, "$1\n")
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => blocks[index])
+    .trim();
+}
+
+/**
+ * Extract the node types defined in the HTML of one module
+ * @param {string} moduleName - Module/set name (e.g. node-red/mqtt)
+ * @param {string} moduleHtml - HTML of the module
+ * @returns {Array<Object>} Node type schemas
+ */
+function extractModuleNodes(moduleName, moduleHtml) {
+  return findRegisterTypeCalls(moduleHtml).map(({ name, definition }) => {
+    // Help document from the matching data-help-name script
+    const helpPattern = new RegExp(
+      `<script[^>]+data-help-name=["']${escapeRegExp(
+        name
+      )}["'][^>]*>([\\s\\S]*?)<\\/script>`
+    );
+    const helpMatch = moduleHtml.match(helpPattern);
+
+    return {
+      name,
+      module: moduleName,
+      ...(definition
+        ? parseDefinition(definition)
+        : { category: undefined, isConfig: false, complete: false }),
+      help: helpMatch ? helpToMarkdown(helpMatch[1]) : "",
+    };
+  });
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse the editor HTML of all installed modules
+ * @param {string} htmlString - HTML returned by GET /nodes
+ * @returns {Array<Object>} Node type schemas (name, module, category, isConfig,
+ *   inputs, outputs, defaults, credentials, complete and help as markdown)
+ */
+export function parseNodeRegistry(htmlString) {
+  // Regular expression matches all modules
+  const modulePattern =
+    /<!-- --- \[red-module:([^\]]+)\] --- -->([\s\S]*?)(?=<!-- --- \[red-module:|$)/g;
+  const result = [];
+
+  let match;
+  while ((match = modulePattern.exec(htmlString)) !== null) {
+    const moduleName = match[1]; // node-red-contrib-mcp-protocol/mcp-in
+    const moduleHtml = match[2]; // The HTML content of the module
+
+    result.push(...extractModuleNodes(moduleName, moduleHtml));
+  }
+
+  return result;
+}
+
+/**
+ * Fetch and parse the installed node types from Node-RED
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Array<Object>>} Node type schemas
+ */
+export async function fetchNodeRegistry(config) {
+  const htmlString = await callNodeRed("get", "/nodes", null, config);
+  return parseNodeRegistry(htmlString);
+}
+
+/**
+ * Fetch the installed node modules with their versions and node types
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Array<Object>>} Modules ({module, version, types, sets}),
+ *   sets being the node sets of the module ({name, types, enabled})
+ */
+export async function fetchInstalledModules(config) {
+  const nodeSets = await callNodeRed("get", "/nodes", null, config, {
+    headers: { Accept: "application/json" },
+  });
+  const modules = new Map();
+  nodeSets.forEach((set) => {
+    if (!modules.has(set.module)) {
+      modules.set(set.module, {
+        module: set.module,
+        version: set.version,
+        types: [],
+        sets: [],
+      });
+    }
+    modules.get(set.module).types.push(...(set.types || []));
+    modules.get(set.module).sets.push({
+      name: set.name,
+      types: set.types || [],
+      enabled: set.enabled !== false,
+    });
+  });
+  return [...modules.values()];
+}
+
+/**
+ * Filter node type schemas by type name, category or module
+ * @param {Array<Object>} registry - Node type schemas
+ * @param {Object} [query] - Filters (type, category, module)
+ * @returns {Array<Object>} Matching node types
+ */
+export function queryNodeRegistry(registry, query = {}) {
+  return registry.filter(
+    (nodeType) =>
+      (!query.type || nodeType.name === query.type) &&
+      (!query.category || nodeType.category === query.category) &&
+      (!query.module || nodeType.module.startsWith(query.module))
+  );
+}
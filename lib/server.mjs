@@ -7,13 +7,24 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import "dotenv/config";
 import axios from "axios";
+import { DEFAULT_MAX_BODY_SIZE, startHttpServer } from "./http-server.mjs";
+import { getAuthHeaders, revokeAccessToken } from "./utils.mjs";
 
 // Import tool registrars
 import registerFlowTools from "./tools/flows.mjs";
 import registerNodeTools from "./tools/nodes.mjs";
 import registerSettingsTools from "./tools/settings.mjs";
 import registerUtilityTools from "./tools/utility.mjs";
-import registerBackupTools from "./tools/backup.mjs";
+import registerBackupTools, {
+  startBackupScheduler,
+} from "./tools/backup.mjs";
+import registerDebugTools from "./tools/debug.mjs";
+import registerTestingTools from "./tools/testing.mjs";
+import registerContextTools from "./tools/context.mjs";
+import registerHistoryTools, {
+  createSessionHistory,
+} from "./tools/history.mjs";
+import { getCommsClient } from "./comms.mjs";
 
 /**
  * Default server settings
@@ -23,15 +34,40 @@ const defaultConfig = {
   serverVersion: "1.0.0",
   nodeRedUrl: "http://localhost:1880",
   nodeRedToken: "",
-  nodeRedAPIVersion: "v1",
+  nodeRedUsername: "", // adminAuth username, used instead of nodeRedToken when set
+  nodeRedPassword: "",
+  nodeRedAPIVersion: "v1", // "v2" sends {rev, flows} so concurrent edits are detected
   apiPrefix: "", // API path prefix, e.g., "/api/v1" or "/node-red"
-  transportType: "stdio",
+  npmRegistry: "https://registry.npmjs.org", // Registry used to look up the latest module versions
+  transportType: "stdio", // "stdio" or "http" (Streamable HTTP with legacy SSE fallback)
+  http: {
+    host: "127.0.0.1",
+    port: 3000,
+    path: "/mcp", // Streamable HTTP endpoint
+    ssePath: "/sse", // Legacy SSE stream endpoint
+    messagesPath: "/messages", // Legacy SSE message endpoint
+    authToken: "", // Bearer token required from MCP clients (optional)
+    maxBodySize: DEFAULT_MAX_BODY_SIZE, // Largest request body accepted (bytes)
+  },
   verbose: false,
+  dryRun: false, // Report the changes of tools instead of making them
+  comms: {
+    autoConnect: true, // Capture debug messages and node status from startup
+    bufferSize: 500, // Number of websocket events kept in memory
+    connectTimeout: 10000, // Milliseconds to wait for the websocket to connect
+  },
   backup: {
-    enabled: true,
+    enabled: true, // Automatic backup before every tool that changes Node-RED
     backupPath: "~/.node-red/",
+    storage: "file", // "file" (JSON files) or "git" (commits tagged with the backup name)
     maxBackups: 10,
     autoCleanup: true,
+    interval: 0, // Minutes between scheduled backups (0 = off)
+    retention: { hourly: 24, daily: 7, weekly: 4 }, // Kept on top of maxBackups
+  },
+  history: {
+    persist: false, // Keep undo/redo history in backupPath across restarts
+    maxEntries: 20, // Flow changes that can be undone
   },
 };
 
@@ -53,24 +89,83 @@ export function createServer(userConfig = {}) {
       userConfig.nodeRedToken ||
       process.env.NODE_RED_TOKEN ||
       defaultConfig.nodeRedToken,
+    nodeRedUsername:
+      userConfig.nodeRedUsername ||
+      process.env.NODE_RED_USERNAME ||
+      defaultConfig.nodeRedUsername,
+    nodeRedPassword:
+      userConfig.nodeRedPassword ||
+      process.env.NODE_RED_PASSWORD ||
+      defaultConfig.nodeRedPassword,
+    nodeRedAPIVersion:
+      userConfig.nodeRedAPIVersion ||
+      process.env.NODE_RED_API_VERSION ||
+      defaultConfig.nodeRedAPIVersion,
     apiPrefix:
       userConfig.apiPrefix !== undefined
         ? userConfig.apiPrefix
         : process.env.NODE_MCP_PREFIX || defaultConfig.apiPrefix,
+    npmRegistry:
+      userConfig.npmRegistry ||
+      process.env.MCP_NPM_REGISTRY ||
+      defaultConfig.npmRegistry,
+    transportType:
+      userConfig.transportType ||
+      process.env.MCP_TRANSPORT ||
+      defaultConfig.transportType,
+    http: {
+      ...defaultConfig.http,
+      ...userConfig.http,
+      host:
+        userConfig.http?.host ||
+        process.env.MCP_HTTP_HOST ||
+        defaultConfig.http.host,
+      port:
+        userConfig.http?.port ||
+        (process.env.MCP_HTTP_PORT
+          ? parseInt(process.env.MCP_HTTP_PORT)
+          : defaultConfig.http.port),
+      authToken:
+        userConfig.http?.authToken ||
+        process.env.MCP_AUTH_TOKEN ||
+        defaultConfig.http.authToken,
+    },
+    comms: { ...defaultConfig.comms, ...userConfig.comms },
+    backup: { ...defaultConfig.backup, ...userConfig.backup },
+    history: { ...defaultConfig.history, ...userConfig.history },
   };
 
-  // Create MCP server
-  const server = new McpServer({
-    name: config.serverName,
-    version: config.serverVersion,
-  });
+  /**
+   * Creates an MCP server instance with all tools registered
+   * @returns {McpServer} MCP server
+   */
+  function createMcpServer() {
+    const mcpServer = new McpServer({
+      name: config.serverName,
+      version: config.serverVersion,
+    });
+
+    // Each client session undoes only its own flow changes
+    const history = createSessionHistory(config);
 
-  // Register all tools
-  registerFlowTools(server, config);
-  registerNodeTools(server, config);
-  registerSettingsTools(server, config);
-  registerUtilityTools(server, config);
-  registerBackupTools(server, config);
+    // Register all tools
+    registerFlowTools(mcpServer, config, history);
+    registerNodeTools(mcpServer, config);
+    registerSettingsTools(mcpServer, config);
+    registerUtilityTools(mcpServer, config);
+    registerBackupTools(mcpServer, config, history);
+    registerDebugTools(mcpServer, config);
+    registerTestingTools(mcpServer, config);
+    registerContextTools(mcpServer, config);
+    registerHistoryTools(mcpServer, config, history);
+
+    return mcpServer;
+  }
+
+  // Create MCP server (HTTP sessions get their own instance)
+  const server = createMcpServer();
+  let httpServer = null;
+  let stopBackupScheduler = null;
 
   /**
    * Tests the connection to Node-RED
@@ -78,9 +173,7 @@ export function createServer(userConfig = {}) {
    */
   async function testNodeRedConnection() {
     try {
-      const headers = config.nodeRedToken
-        ? { Authorization: "Bearer " + config.nodeRedToken }
-        : {};
+      const headers = await getAuthHeaders(config);
       await axios.get(config.nodeRedUrl, { headers, timeout: 5000 });
       return true;
     } catch (error) {
@@ -100,23 +193,61 @@ export function createServer(userConfig = {}) {
       // Ignore errors
     }
 
-    // Create transport based on settings
-    let transport;
+    // Start capturing debug output; reconnects in the background on failure,
+    // but not after the runtime rejected the token
+    if (config.comms.autoConnect) {
+      getCommsClient(config)
+        .connect()
+        .catch(() => {});
+    }
 
+    // Periodic backups (if backup.interval is set)
+    stopBackupScheduler = startBackupScheduler(config);
+
+    // Create transport based on settings
     if (config.transportType === "stdio") {
-      transport = new StdioServerTransport();
+      // Connect server through transport
+      await server.connect(new StdioServerTransport());
+    } else if (config.transportType === "http") {
+      httpServer = await startHttpServer(createMcpServer, config.http);
+      if (config.verbose) {
+        console.error(
+          `Node-RED MCP server listening on http://${config.http.host}:${config.http.port}${config.http.path}`
+        );
+      }
     } else {
       throw new Error(`Unsupported transport type: ${config.transportType}`);
     }
+  }
 
-    // Connect server through transport
-    await server.connect(transport);
+  /**
+   * Stops the MCP server, closes all client sessions and revokes the
+   * Node-RED access token obtained by login
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (stopBackupScheduler) {
+      stopBackupScheduler();
+      stopBackupScheduler = null;
+    }
+    if (httpServer) {
+      await httpServer.close();
+      httpServer = null;
+    }
+    await server.close();
+    getCommsClient(config).close();
+    try {
+      await revokeAccessToken(config);
+    } catch (_) {
+      // Token expires on its own if revocation fails
+    }
   }
 
   return {
     server,
     config,
     start,
+    stop,
     testNodeRedConnection,
   };
 }
@@ -5,29 +5,65 @@
 
 import { z } from "zod";
 import { callNodeRed } from "../utils.mjs";
+import {
+  diffFlows,
+  filterFlowsByTabs,
+  formatDiffSummary,
+  isEmptyDiff,
+} from "../flow-diff.mjs";
+import { createFileStore } from "../backup-stores/file.mjs";
+import { createGitStore } from "../backup-stores/git.mjs";
+import { withLock, writeFileAtomic } from "../backup-stores/fs-utils.mjs";
+import { blockedByDryRun } from "../dry-run.mjs";
+import { BUILTIN_TYPES, fetchInstalledModules } from "../node-registry.mjs";
 import fs from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 import os from "os";
+import zlib from "zlib";
+import { promisify } from "util";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
 // Configuration defaults
 const DEFAULTS = {
   maxBackups: 10,
   autoCleanup: true,
+  storage: "file",
   backupDir: ".mcp-backups",
+  gitBackupDir: ".mcp-backups-git",
+  testsDir: ".mcp-flow-tests",
+  historyFile: ".mcp-session-history.json",
+  bundlesDir: ".mcp-backup-bundles",
   metadataFile: "backup_metadata.json",
+  // Backups kept beyond maxBackups: newest per hour, day and week
+  retention: { hourly: 24, daily: 7, weekly: 4 },
+  bundleSuffix: ".bundle.json.gz",
 };
 
+// Format identifier and version of exported backup bundles
+const BUNDLE_FORMAT = "node-red-mcp-backup-bundle";
+const BUNDLE_VERSION = 1;
+
+// Metadata fields describing where a store keeps a backup
+const STORAGE_FIELDS = ["filename", "manifest", "commit", "contentChecksum"];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
 /**
  * Registers backup-related tools in the MCP server
  * @param {Object} server - MCP server instance
  * @param {Object} config - Server configuration
+ * @param {Object} history - Change history of the session (see createSessionHistory)
  */
-export default function registerBackupTools(server, config) {
+export default function registerBackupTools(server, config, history) {
   // Backup flows tool
   server.tool(
     "backup-flows",
-    "Create a named backup of current Node-RED flows with optional reason",
+    "Create a named backup of current Node-RED flows with optional reason. With tabs, only those tabs/subflows and the config nodes and subflows they use are backed up, and restoring the backup only puts those tabs back. Args: name (optional) reason (optional) tabs (optional, e.g.['396c2376c693d'])",
     {
       name: z
         .string()
@@ -39,10 +75,16 @@ export default function registerBackupTools(server, config) {
         .string()
         .optional()
         .describe("Optional reason/description for creating this backup"),
+      tabs: z
+        .array(z.string())
+        .optional()
+        .describe(
+          "Tab or subflow IDs to back up (optional, backs up all flows if not provided)"
+        ),
     },
-    async ({ name, reason }) => {
+    async ({ name, reason, tabs }) => {
       try {
-        const metadata = await createBackup(name, reason, config);
+        const metadata = await createBackup(name, reason, config, null, tabs);
         return {
           content: [
             {
@@ -51,6 +93,8 @@ export default function registerBackupTools(server, config) {
                 metadata.name
               }\nTimestamp: ${metadata.timestamp}\nReason: ${
                 metadata.reason
+              }${
+                metadata.tabs ? `\nTabs: ${metadata.tabs.join(", ")}` : ""
               }\nFlows: ${metadata.flowsCount} tabs, ${
                 metadata.nodesCount
               } nodes\nSize: ${Math.round(metadata.size / 1024)}KB`,
@@ -100,11 +144,17 @@ export default function registerBackupTools(server, config) {
 
         backups.forEach((backup, index) => {
           const activeMarker = backup.isLatest ? " [LATEST]" : "";
-          output += `${index + 1}. ${backup.name}${activeMarker}\n`;
+          const pinnedMarker = backup.pinned ? " [PINNED]" : "";
+          output += `${index + 1}. ${
+            backup.name
+          }${activeMarker}${pinnedMarker}\n`;
           output += `   Created: ${new Date(
             backup.timestamp
           ).toLocaleString()}\n`;
           output += `   Reason: ${backup.reason}\n`;
+          if (backup.tabs) {
+            output += `   Tabs: ${backup.tabs.join(", ")}\n`;
+          }
 
           if (detailed) {
             output += `   Flows: ${backup.flowsCount} tabs, ${backup.nodesCount} nodes\n`;
@@ -163,6 +213,311 @@ export default function registerBackupTools(server, config) {
     }
   );
 
+  // Restore backup tool
+  server.tool(
+    "restore-backup",
+    "Restore flows from a backup by name and deploy them. A safety backup of the current flows is created first. Restoring selected tabs (or a backup of selected tabs) only redeploys those tabs and leaves the other flows alone. Args: name (e.g.'backup_20250101_120000') tabs (optional, e.g.['396c2376c693d'])",
+    {
+      name: z.string().describe("Backup name to restore (required)"),
+      tabs: z
+        .array(z.string())
+        .optional()
+        .describe(
+          "Tab or subflow IDs to restore from the backup (optional, restores all flows if not provided)"
+        ),
+    },
+    async ({ name, tabs }) => {
+      try {
+        const refused = blockedByDryRun("restore-backup", config);
+        if (refused) return refused;
+        const change = await history.begin("restore-backup", { name, tabs });
+        const result = await restoreBackup(name, tabs, config);
+        await change.commit();
+        const scope = result.tabs
+          ? `tabs ${result.tabs.join(", ")}`
+          : "all flows";
+        const recreated = (result.recreated || []).map(
+          ({ from, to }) =>
+            `\nTab ${from} no longer existed and was recreated as ${to}`
+        );
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Backup '${name}' restored (${scope}).${recreated.join(
+                ""
+              )}\n\nSafety backup: ${
+                result.safetyBackup.name
+              }\n\n${formatDiffSummary(result.changes)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Restore failed: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Pin backup tool
+  server.tool(
+    "pin-backup",
+    "Pin a backup so it is never removed by automatic cleanup, or unpin it. Args: name (e.g.'backup_20250101_120000') pinned (optional, default true)",
+    {
+      name: z.string().describe("Backup name to pin (required)"),
+      pinned: z
+        .boolean()
+        .optional()
+        .describe("false to unpin the backup (default true)"),
+    },
+    async ({ name, pinned = true }) => {
+      try {
+        await pinBackup(name, pinned, config);
+        return {
+          content: [
+            {
+              type: "text",
+              text: pinned
+                ? `Backup '${name}' pinned, it will not be removed by cleanup`
+                : `Backup '${name}' unpinned`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Pin failed: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Delete backup tool
+  server.tool(
+    "delete-backup",
+    "Delete a backup by name. Pinned backups are only deleted with force. Args: name (e.g.'backup_20250101_120000') force (optional)",
+    {
+      name: z.string().describe("Backup name to delete (required)"),
+      force: z.boolean().optional().describe("Also delete a pinned backup"),
+    },
+    async ({ name, force }) => {
+      try {
+        await deleteBackup(name, force, config);
+        return {
+          content: [{ type: "text", text: `Backup '${name}' deleted` }],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Delete failed: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Repair backups tool
+  server.tool(
+    "repair-backups",
+    "Check the backup directory against its metadata index and repair the index: backups missing from it are added, entries without backup data are dropped and leftovers of interrupted writes are removed. Use it when backup-health reports problems or after a crash",
+    {},
+    async () => {
+      try {
+        const report = await repairBackups(config);
+        const lines = [];
+        if (report.indexRebuilt) {
+          lines.push(
+            `- Metadata index could not be read (${report.indexRebuilt}) and was rebuilt`
+          );
+        }
+        if (report.recovered.length > 0) {
+          lines.push(
+            `- Added ${report.recovered.length} backup(s) to the index: ${report.recovered.join(
+              ", "
+            )}`
+          );
+        }
+        if (report.dropped.length > 0) {
+          lines.push(
+            `- Removed ${report.dropped.length} index entr(ies) without backup data: ${report.dropped.join(
+              ", "
+            )}`
+          );
+        }
+        if (report.removedFiles.length > 0) {
+          lines.push(
+            `- Removed ${report.removedFiles.length} leftover file(s)`
+          );
+        }
+        report.corrupted.forEach(({ name, error }) => {
+          lines.push(
+            `- ⚠️ Backup '${name}' is corrupted and was left in place (${error}), delete it with delete-backup if it is listed`
+          );
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Backup repair of ${report.location}\n\n${
+                lines.length > 0
+                  ? lines.join("\n")
+                  : "Nothing to repair, the index matches the stored backups"
+              }\n\nIndexed backups: ${report.count}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Repair failed: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Export backup bundle tool
+  server.tool(
+    "export-backup-bundle",
+    "Export a backup as a single gzipped archive with its flows, metadata and the node modules (with versions) installed in Node-RED, to restore it on another instance with import-backup-bundle. Args: name (e.g.'backup_20250101_120000') path (optional, file to write)",
+    {
+      name: z.string().describe("Backup name to export (required)"),
+      path: z
+        .string()
+        .optional()
+        .describe(
+          `File to write, relative to the bundle directory ${DEFAULTS.bundlesDir} (optional, defaults to <name>${DEFAULTS.bundleSuffix})`
+        ),
+    },
+    async ({ name, path: filePath }) => {
+      try {
+        const result = await exportBackupBundle(name, filePath, config);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Backup '${name}' exported to ${result.path}\n\nFlows: ${
+                result.bundle.metadata.flowsCount
+              } tabs, ${result.bundle.metadata.nodesCount} nodes\nModules: ${
+                result.bundle.modules.length
+              } installed module(s) recorded\nSize: ${Math.round(
+                result.size / 1024
+              )}KB`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Export failed: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Import backup bundle tool
+  server.tool(
+    "import-backup-bundle",
+    "Import a backup bundle written by export-backup-bundle as a backup, and report which node modules used by its flows are missing in this Node-RED instance (optionally installing them). Restore the imported backup with restore-backup once the modules are installed. Args: path (bundle file) name (optional, backup name to use) installModules (optional)",
+    {
+      path: z
+        .string()
+        .describe(
+          `Bundle file to import, relative to the bundle directory ${DEFAULTS.bundlesDir} (required)`
+        ),
+      name: z
+        .string()
+        .optional()
+        .describe(
+          "Name of the imported backup (optional, the original name if not provided)"
+        ),
+      installModules: z
+        .boolean()
+        .optional()
+        .describe("Install missing modules in the bundle's versions"),
+    },
+    async ({ path: filePath, name, installModules }) => {
+      try {
+        if (installModules) {
+          // Importing only adds a local backup, installing changes Node-RED
+          const refused = blockedByDryRun(
+            "import-backup-bundle with installModules",
+            config
+          );
+          if (refused) return refused;
+        }
+        const result = await importBackupBundle(
+          filePath,
+          { name, installModules },
+          config
+        );
+        const lines = result.modules.map(
+          ({ module, version, installedVersion, status, error }) =>
+            ({
+              ok: `  ✅ ${module} ${version}`,
+              "version-differs": `  ⚠️ ${module} ${version} (installed: ${installedVersion})`,
+              missing: `  ❌ ${module} ${version} (not installed)`,
+              installed: `  ✅ ${module} ${version} (installed now)`,
+              failed: `  ❌ ${module} ${version} (install failed: ${error})`,
+            })[status]
+        );
+        const missing = result.modules.filter((m) =>
+          ["missing", "failed"].includes(m.status)
+        );
+
+        let text = `Backup bundle imported as '${result.backup.name}' (${result.backup.flowsCount} tabs, ${result.backup.nodesCount} nodes, exported ${result.exportedAt})`;
+        text += lines.length
+          ? `\n\nModules used by the flows:\n${lines.join("\n")}`
+          : "\n\nThe flows use no contributed node modules";
+        if (result.unknownTypes.length > 0) {
+          text += `\n\n⚠️ Node types not provided by any installed or recorded module: ${result.unknownTypes.join(
+            ", "
+          )}`;
+        }
+        text +=
+          missing.length > 0
+            ? `\n\nInstall the missing module(s) with install-node-module before restoring the backup with restore-backup.`
+            : `\n\nRestore it with restore-backup.`;
+        if (result.modules.some((m) => m.status === "installed")) {
+          text += " Restart Node-RED if newly installed nodes don't load.";
+        }
+
+        return { content: [{ type: "text", text }] };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Import failed: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Backup health tool
   server.tool(
     "backup-health",
@@ -212,41 +567,90 @@ export default function registerBackupTools(server, config) {
 /**
  * Get Node-RED directory and backup paths
  */
-function getPaths(config) {
+export function getPaths(config) {
   const nodeRedDir =
     process.env.NODE_RED_USER_DIR ||
     config.nodeRedDir ||
     path.join(os.homedir(), ".node-red");
 
   const backupPath = config.backup?.backupPath || nodeRedDir;
-  const backupDir = path.join(backupPath, DEFAULTS.backupDir);
+  const backupDir = path.join(
+    backupPath,
+    getStorageType(config) === "git"
+      ? DEFAULTS.gitBackupDir
+      : DEFAULTS.backupDir
+  );
   const flowsPath = path.join(nodeRedDir, "flows.json");
   const metadataPath = path.join(backupDir, DEFAULTS.metadataFile);
+  const testsDir = path.join(backupPath, DEFAULTS.testsDir);
+  const historyPath = path.join(backupPath, DEFAULTS.historyFile);
+  const bundlesDir = path.join(backupPath, DEFAULTS.bundlesDir);
 
-  return { nodeRedDir, backupDir, flowsPath, metadataPath };
+  return {
+    nodeRedDir,
+    backupDir,
+    flowsPath,
+    metadataPath,
+    testsDir,
+    historyPath,
+    bundlesDir,
+  };
 }
 
 /**
- * Ensure backup directory exists and initialize metadata
+ * Get the configured storage backend type ("file" or "git")
  */
-async function ensureBackupDirectory(config) {
-  const { backupDir, metadataPath } = getPaths(config);
+function getStorageType(config) {
+  return config.backup?.storage || DEFAULTS.storage;
+}
 
-  await fs.mkdir(backupDir, { recursive: true });
+/**
+ * Get the backup store of the configured storage backend
+ */
+function getBackupStore(config) {
+  const { backupDir } = getPaths(config);
+  const storage = getStorageType(config);
 
-  try {
-    await fs.access(metadataPath);
-  } catch {
-    const initialMetadata = {
-      version: "1.0",
-      config: {
-        maxBackups: config.backup?.maxBackups || DEFAULTS.maxBackups,
-        autoCleanup: config.backup?.autoCleanup ?? DEFAULTS.autoCleanup,
-      },
-      backups: [],
-    };
-    await fs.writeFile(metadataPath, JSON.stringify(initialMetadata, null, 2));
+  if (storage === "file") {
+    return createFileStore(backupDir, DEFAULTS.metadataFile);
+  }
+  if (storage === "git") {
+    return createGitStore(backupDir, DEFAULTS.metadataFile);
   }
+  throw new Error(`Unknown backup storage '${storage}', use file or git`);
+}
+
+/**
+ * Get the metadata of a new backup store
+ */
+function createInitialMetadata(config) {
+  return {
+    version: "1.0",
+    config: {
+      maxBackups: config.backup?.maxBackups || DEFAULTS.maxBackups,
+      autoCleanup: config.backup?.autoCleanup ?? DEFAULTS.autoCleanup,
+    },
+    backups: [],
+  };
+}
+
+/**
+ * Run a function with the initialized backup store while holding the lock
+ * of the backup directory, which several server processes may share
+ */
+async function withBackupStore(config, fn) {
+  const store = getBackupStore(config);
+  return withLock(store.location, async () => {
+    await store.init(createInitialMetadata(config));
+    return fn(store);
+  });
+}
+
+/**
+ * Ensure the backup store exists and initialize metadata
+ */
+async function ensureBackupDirectory(config) {
+  return withBackupStore(config, (store) => store);
 }
 
 /**
@@ -264,10 +668,14 @@ function createBackupName(name, timestamp) {
     }
     return name;
   }
-  return `backup_${timestamp
-    .replace(/[-:.]/g, "")
-    .replace("T", "_")
-    .substring(0, 15)}`;
+  return `backup_${formatTimestamp(timestamp)}`;
+}
+
+/**
+ * Format an ISO timestamp for use in backup names (e.g. 20250101_120000)
+ */
+function formatTimestamp(timestamp) {
+  return timestamp.replace(/[-:.]/g, "").replace("T", "_").substring(0, 15);
 }
 
 /**
@@ -292,20 +700,38 @@ function analyzeFlows(flows) {
 }
 
 /**
- * Create a new backup
+ * Create a new backup (of the given flows, or the current flows),
+ * optionally limited to some tabs and what they use
  */
-async function createBackup(name, reason, config) {
-  await ensureBackupDirectory(config);
-  const { backupDir, metadataPath } = getPaths(config);
-
+async function createBackup(
+  name,
+  reason,
+  config,
+  currentFlows = null,
+  tabIds = null
+) {
   // Get current flows from Node-RED API
-  const flows = await callNodeRed("get", "/flows", null, config);
+  const allFlows =
+    currentFlows || (await callNodeRed("get", "/flows", null, config));
+  const flows = tabIds?.length
+    ? selectTabsForBackup(allFlows, tabIds)
+    : allFlows;
+
+  return withBackupStore(config, (store) =>
+    saveBackup(store, name, reason, config, flows, tabIds)
+  );
+}
+
+/**
+ * Save a backup in the store and apply cleanup; the store must be locked
+ */
+async function saveBackup(store, name, reason, config, flows, tabIds) {
   const timestamp = new Date().toISOString();
   const backupName = createBackupName(name, timestamp);
   const analysis = analyzeFlows(flows);
 
   // Check for duplicate names
-  const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  const metadata = await store.readMetadata();
   if (metadata.backups.some((b) => b.name === backupName)) {
     throw new Error(`Backup '${backupName}' already exists`);
   }
@@ -320,86 +746,723 @@ async function createBackup(name, reason, config) {
       flowsCount: analysis.flowsCount,
       nodesCount: analysis.nodesCount,
       size: analysis.size,
+      ...(tabIds?.length && { tabs: tabIds }),
     },
     flows,
   };
 
-  // Save backup file
-  const backupFile = path.join(backupDir, `${backupName}.json`);
-  await fs.writeFile(backupFile, JSON.stringify(backupData, null, 2));
+  // Save backup in the store
+  const stored = await store.save(backupData.metadata, flows);
 
   // Update metadata
   metadata.backups.push({
     ...backupData.metadata,
-    filename: `${backupName}.json`,
+    ...stored,
   });
 
   // Auto cleanup
-  if (
-    metadata.config.autoCleanup &&
-    metadata.backups.length > metadata.config.maxBackups
-  ) {
-    const sortedBackups = metadata.backups.sort(
-      (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+  if (metadata.config.autoCleanup) {
+    const keep = selectBackupsToKeep(
+      metadata.backups,
+      metadata.config.maxBackups,
+      getRetention(config)
     );
-    const toDelete = sortedBackups.slice(metadata.config.maxBackups);
+    const toDelete = metadata.backups.filter((b) => !keep.has(b.name));
 
     for (const backup of toDelete) {
       try {
-        await fs.unlink(path.join(backupDir, backup.filename));
+        await store.remove(backup);
       } catch {}
     }
 
-    metadata.backups = sortedBackups.slice(0, metadata.config.maxBackups);
+    metadata.backups = metadata.backups.filter((b) => keep.has(b.name));
   }
 
-  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+  await store.writeMetadata(metadata);
 
   return backupData.metadata;
 }
 
+/**
+ * Summarize tool arguments for a backup reason, shortening long values
+ */
+export function describeToolArgs(args) {
+  return Object.entries(args)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      const text = typeof value === "string" ? value : JSON.stringify(value);
+      return `${key}=${text.length > 60 ? text.substring(0, 57) + "..." : text}`;
+    })
+    .join(", ");
+}
 
 /**
- * Get flows from a specific backup
+ * Back up the current flows unless they are already backed up.
+ * Compares the checksum with the latest backup only, or with all backups.
  */
-async function getBackupFlows(backupName, config) {
-  await ensureBackupDirectory(config);
-  const { backupDir } = getPaths(config);
+async function createBackupIfChanged(prefix, reason, config, latestOnly) {
+  const flows = await callNodeRed("get", "/flows", null, config);
+  const { checksum } = analyzeFlows(flows);
+
+  return withBackupStore(config, async (store) => {
+    // Backups of selected tabs don't cover the current flows
+    const metadata = await store.readMetadata();
+    const sortedBackups = metadata.backups
+      .filter((b) => !b.tabs)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const candidates = latestOnly ? sortedBackups.slice(0, 1) : sortedBackups;
+    const existing = candidates.find((b) => b.checksum === checksum);
+    if (existing) return { backup: existing, created: false };
+
+    // Several backups can be taken within the same second
+    const stamp = formatTimestamp(new Date().toISOString());
+    let name = `${prefix}_${stamp}`;
+    for (let n = 2; metadata.backups.some((b) => b.name === name); n++) {
+      name = `${prefix}_${stamp}_${n}`;
+    }
+
+    const backup = await saveBackup(store, name, reason, config, flows);
+    return { backup, created: true };
+  });
+}
+
+/**
+ * Create an automatic backup before a tool changes Node-RED.
+ * Skipped when backup.enabled is false; if a backup of the current flows
+ * already exists (same checksum), that backup is returned instead.
+ */
+export async function createAutoBackup(tool, args, config) {
+  if (config.backup?.enabled === false) return null;
 
-  const backupFile = path.join(backupDir, `${backupName}.json`);
   try {
-    const backupData = JSON.parse(await fs.readFile(backupFile, "utf8"));
-    
-    // Validate backup integrity
-    const currentChecksum = crypto
-      .createHash("sha256")
-      .update(JSON.stringify(backupData.flows))
-      .digest("hex");
-    
-    if (currentChecksum !== backupData.metadata.checksum) {
-      throw new Error("Backup file is corrupted: checksum mismatch");
+    const summary = describeToolArgs(args);
+    const { backup } = await createBackupIfChanged(
+      "auto",
+      `Automatic backup before ${tool}${summary ? ` (${summary})` : ""}`,
+      config,
+      false
+    );
+    return backup;
+  } catch (error) {
+    throw new Error(
+      `Automatic backup before ${tool} failed, nothing was changed: ${error.message} (set backup.enabled to false to skip automatic backups)`
+    );
+  }
+}
+
+/**
+ * Start taking a backup every backup.interval minutes, skipped when the
+ * flows did not change since the latest backup. Returns a stop function.
+ */
+export function startBackupScheduler(config) {
+  const minutes = config.backup?.interval;
+  if (!minutes || minutes <= 0) return () => {};
+
+  const timer = setInterval(() => {
+    createBackupIfChanged("scheduled", "Scheduled backup", config, true).catch(
+      (error) => {
+        if (config.verbose) {
+          console.error(`Scheduled backup failed: ${error.message}`);
+        }
+      }
+    );
+  }, minutes * 60 * 1000);
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Get the tiered retention settings (number of hours, days and weeks)
+ */
+function getRetention(config) {
+  return { ...DEFAULTS.retention, ...config.backup?.retention };
+}
+
+/**
+ * Select the backups kept by the retention policy: pinned backups, the
+ * newest maxBackups, and the newest backup of each of the last hours,
+ * days and weeks configured in the retention tiers
+ */
+function selectBackupsToKeep(
+  backups,
+  maxBackups,
+  retention,
+  now = Date.now()
+) {
+  const sortedBackups = [...backups].sort(
+    (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+  );
+  const keep = new Set(
+    sortedBackups.slice(0, maxBackups).map((backup) => backup.name)
+  );
+  sortedBackups
+    .filter((backup) => backup.pinned)
+    .forEach((backup) => keep.add(backup.name));
+
+  const tiers = [
+    { count: retention.hourly, size: HOUR },
+    { count: retention.daily, size: DAY },
+    { count: retention.weekly, size: WEEK },
+  ];
+  tiers.forEach(({ count, size }) => {
+    if (!count) return;
+    const oldestPeriod = Math.floor(now / size) - count + 1;
+    const seenPeriods = new Set();
+    sortedBackups.forEach((backup) => {
+      const period = Math.floor(new Date(backup.timestamp).getTime() / size);
+      if (period >= oldestPeriod && !seenPeriods.has(period)) {
+        seenPeriods.add(period);
+        keep.add(backup.name);
+      }
+    });
+  });
+
+  return keep;
+}
+
+/**
+ * Pin or unpin a backup; pinned backups are never removed by cleanup
+ */
+async function pinBackup(backupName, pinned, config) {
+  return withBackupStore(config, async (store) => {
+    const metadata = await store.readMetadata();
+    const backup = metadata.backups.find((b) => b.name === backupName);
+    if (!backup) {
+      throw new Error(`Backup '${backupName}' not found`);
+    }
+
+    if (pinned) {
+      backup.pinned = true;
+    } else {
+      delete backup.pinned;
+    }
+    await store.writeMetadata(metadata);
+    return backup;
+  });
+}
+
+/**
+ * Delete a backup; pinned backups need force
+ */
+async function deleteBackup(backupName, force, config) {
+  return withBackupStore(config, async (store) => {
+    const metadata = await store.readMetadata();
+    const backup = metadata.backups.find((b) => b.name === backupName);
+    if (!backup) {
+      throw new Error(`Backup '${backupName}' not found`);
     }
+    if (backup.pinned && !force) {
+      throw new Error(
+        `Backup '${backupName}' is pinned, unpin it or set force to delete it`
+      );
+    }
+
+    await store.remove(backup);
+    metadata.backups = metadata.backups.filter((b) => b.name !== backupName);
+    await store.writeMetadata(metadata);
+    return backup;
+  });
+}
+
+/**
+ * Rebuild the metadata index from the backups found in the store: add
+ * backups missing from the index, drop entries whose data is gone and
+ * remove leftovers of interrupted writes
+ */
+async function repairBackups(config) {
+  const store = getBackupStore(config);
 
+  return withLock(store.location, async () => {
+    const report = {
+      location: `${store.location} (${store.type} storage)`,
+      indexRebuilt: null,
+      recovered: [],
+      dropped: [],
+      corrupted: [],
+      removedFiles: [],
+    };
+
+    let metadata;
+    try {
+      await store.init(createInitialMetadata(config));
+      metadata = await store.readMetadata();
+      if (!Array.isArray(metadata.backups)) {
+        throw new Error("no list of backups");
+      }
+    } catch (error) {
+      report.indexRebuilt = error.message;
+      metadata = createInitialMetadata(config);
+    }
+
+    const found = await store.scan();
+    const indexed = new Map();
+
+    // Keep index entries whose backup loads, prefer the stored copy otherwise
+    for (const entry of metadata.backups) {
+      try {
+        await store.load(entry);
+        indexed.set(entry.name, entry);
+      } catch (error) {
+        if (!found.some((item) => item.entry.name === entry.name)) {
+          report.dropped.push(entry.name);
+        } else {
+          report.corrupted.push({ name: entry.name, error: error.message });
+          indexed.set(entry.name, entry);
+        }
+      }
+    }
+
+    for (const item of found) {
+      const existing = indexed.get(item.entry.name);
+      if (existing && !report.corrupted.some((c) => c.name === existing.name)) {
+        continue;
+      }
+      if (item.error) {
+        if (!existing) {
+          report.corrupted.push({ name: item.entry.name, error: item.error });
+        }
+        continue;
+      }
+
+      const analysis = analyzeFlows(item.flows);
+      const entry = {
+        reason: "Recovered by repair-backups",
+        ...item.entry,
+        checksum: item.entry.checksum || analysis.checksum,
+        flowsCount: item.entry.flowsCount ?? analysis.flowsCount,
+        nodesCount: item.entry.nodesCount ?? analysis.nodesCount,
+        size: item.entry.size ?? analysis.size,
+      };
+      try {
+        await store.load(entry);
+      } catch (error) {
+        if (!existing) {
+          report.corrupted.push({ name: entry.name, error: error.message });
+        }
+        continue;
+      }
+
+      // A stored copy that verifies replaces a corrupted index entry
+      if (existing) {
+        report.corrupted = report.corrupted.filter((c) => c.name !== entry.name);
+      }
+      indexed.set(entry.name, { ...entry, pinned: existing?.pinned });
+      report.recovered.push(entry.name);
+    }
+
+    metadata.backups = [...indexed.values()]
+      .map((entry) => {
+        if (!entry.pinned) delete entry.pinned;
+        return entry;
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    await store.writeMetadata(metadata);
+
+    report.removedFiles = await store.tidy();
+    report.count = metadata.backups.length;
+    return report;
+  });
+}
+
+/**
+ * Get flows from a specific backup
+ */
+export async function getBackupFlows(backupName, config) {
+  const store = await ensureBackupDirectory(config);
+
+  const metadata = await store.readMetadata();
+  const backup = metadata.backups.find((b) => b.name === backupName);
+  if (!backup) {
+    throw new Error(`Backup '${backupName}' not found`);
+  }
+
+  // The store validates backup integrity
+  const flows = await store.load(backup);
+
+  return {
+    metadata: backup,
+    flows,
+  };
+}
+
+/**
+ * Check whether a node belongs to one of the given tabs or subflows
+ */
+function belongsToTabs(node, tabIds) {
+  return tabIds.includes(node.id) || tabIds.includes(node.z);
+}
+
+/**
+ * Check whether a node is outside any tab or subflow (global config nodes,
+ * subflow definitions and their contents)
+ */
+function isGlobalNode(node, subflowIds) {
+  return (!node.z && node.type !== "tab") || subflowIds.includes(node.z);
+}
+
+/**
+ * Throw if some of the given IDs are not tabs or subflows of the flows
+ */
+function checkTabsExist(flows, tabIds, source) {
+  const missing = tabIds.filter(
+    (id) =>
+      !flows.some(
+        (node) =>
+          node.id === id && (node.type === "tab" || node.type === "subflow")
+      )
+  );
+  if (missing.length > 0) {
+    throw new Error(`Tab(s) not found in ${source}: ${missing.join(", ")}`);
+  }
+}
+
+/**
+ * Find the global config nodes and subflows (with their nodes) used by the
+ * given nodes, including what those use in turn
+ */
+function collectDependencies(flows, nodes) {
+  const included = new Set(nodes.map((node) => node.id));
+  const dependencies = [];
+
+  let pending = nodes;
+  while (pending.length > 0) {
+    const referenced = new Set(
+      pending.flatMap((node) => [
+        ...Object.values(node).filter((value) => typeof value === "string"),
+        ...(node.type?.startsWith("subflow:") ? [node.type.substring(8)] : []),
+      ])
+    );
+    const subflowIds = flows
+      .filter((node) => node.type === "subflow" && referenced.has(node.id))
+      .map((node) => node.id);
+
+    pending = flows.filter(
+      (node) =>
+        !included.has(node.id) &&
+        ((!node.z && node.type !== "tab" && referenced.has(node.id)) ||
+          belongsToTabs(node, subflowIds))
+    );
+    pending.forEach((node) => included.add(node.id));
+    dependencies.push(...pending);
+  }
+
+  return dependencies;
+}
+
+/**
+ * Select the given tabs and everything they use, in flows order
+ */
+function selectTabsForBackup(flows, tabIds) {
+  checkTabsExist(flows, tabIds, "flows");
+  const tabNodes = filterFlowsByTabs(flows, tabIds);
+  const included = new Set(
+    [...tabNodes, ...collectDependencies(flows, tabNodes)].map(
+      (node) => node.id
+    )
+  );
+  return flows.filter((node) => included.has(node.id));
+}
+
+/**
+ * Replace the given tabs in the current flows with their backed up version
+ */
+function mergeTabsFromBackup(currentFlows, backupFlows, tabIds) {
+  checkTabsExist(backupFlows, tabIds, "backup");
+
+  const restoredNodes = filterFlowsByTabs(backupFlows, tabIds);
+
+  // Add config nodes and subflows used by the restored tabs if they were deleted since
+  const currentIds = new Set(currentFlows.map((node) => node.id));
+  const missingConfigs = collectDependencies(backupFlows, restoredNodes).filter(
+    (node) => !currentIds.has(node.id) && !currentIds.has(node.z)
+  );
+
+  // Put restored tabs back where they were, new ones at the end
+  const merged = [];
+  let inserted = false;
+  currentFlows.forEach((node) => {
+    if (belongsToTabs(node, tabIds)) {
+      if (!inserted) {
+        merged.push(...restoredNodes);
+        inserted = true;
+      }
+      return;
+    }
+    merged.push(node);
+  });
+  if (!inserted) merged.push(...restoredNodes);
+
+  return [...merged, ...missingConfigs];
+}
+
+/**
+ * Deploy the given tabs from a backup through the single flow API, leaving
+ * other tabs untouched. Subflows and config nodes are updated with one
+ * request for the global flow.
+ */
+async function restoreTabs(backupFlows, tabIds, config) {
+  const currentFlows = await callNodeRed("get", "/flows", null, config);
+  const targetFlows = mergeTabsFromBackup(currentFlows, backupFlows, tabIds);
+
+  const subflowsOf = (flows) =>
+    flows.filter((node) => node.type === "subflow").map((node) => node.id);
+  const currentGlobal = currentFlows.filter((node) =>
+    isGlobalNode(node, subflowsOf(currentFlows))
+  );
+  const targetSubflows = subflowsOf(targetFlows);
+  const targetGlobal = targetFlows.filter((node) =>
+    isGlobalNode(node, targetSubflows)
+  );
+
+  if (!isEmptyDiff(diffFlows(currentGlobal, targetGlobal))) {
+    await callNodeRed(
+      "put",
+      "/flow/global",
+      {
+        id: "global",
+        configs: targetGlobal.filter((node) => !node.z && node.type !== "subflow"),
+        subflows: targetGlobal
+          .filter((node) => node.type === "subflow")
+          .map((subflow) => ({
+            ...subflow,
+            nodes: targetGlobal.filter((node) => node.z === subflow.id),
+          })),
+      },
+      config
+    );
+  }
+
+  const recreated = [];
+  for (const tab of targetFlows) {
+    if (tab.type !== "tab" || !tabIds.includes(tab.id)) continue;
+    const { type, ...flow } = tab;
+    flow.nodes = targetFlows.filter((node) => node.z === tab.id);
+
+    if (currentFlows.some((node) => node.id === tab.id)) {
+      await callNodeRed("put", "/flow/" + tab.id, flow, config);
+    } else {
+      // Node-RED assigns new IDs to added flows
+      const result = await callNodeRed("post", "/flow", flow, config);
+      if (result?.id && result.id !== tab.id) {
+        recreated.push({ from: tab.id, to: result.id });
+      }
+    }
+  }
+
+  return {
+    changes: diffFlows(currentFlows, targetFlows),
+    recreated,
+  };
+}
+
+/**
+ * Restore a backup, optionally limited to some tabs. Backups of selected
+ * tabs only restore those tabs.
+ */
+async function restoreBackup(backupName, tabIds, config) {
+  // Validates the backup checksum before anything is changed
+  const backup = await getBackupFlows(backupName, config);
+  const restoredTabs = tabIds?.length ? tabIds : backup.metadata.tabs;
+
+  const { backup: safetyBackup } = await createBackupIfChanged(
+    "pre_restore",
+    `Automatic safety backup before restoring '${backupName}'`,
+    config,
+    false
+  );
+
+  if (restoredTabs?.length) {
     return {
-      metadata: backupData.metadata,
-      flows: backupData.flows,
+      safetyBackup,
+      tabs: restoredTabs,
+      ...(await restoreTabs(backup.flows, restoredTabs, config)),
     };
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      throw new Error(`Backup '${backupName}' not found`);
+  }
+
+  const currentFlows = await callNodeRed("get", "/flows", null, config);
+  await callNodeRed("post", "/flows", backup.flows, config);
+
+  return {
+    safetyBackup,
+    changes: diffFlows(currentFlows, backup.flows),
+  };
+}
+
+/**
+ * Export a backup with the installed node modules as a gzipped bundle
+ */
+async function exportBackupBundle(backupName, filePath, config) {
+  const target = resolveBundlePath(
+    filePath || `${backupName}${DEFAULTS.bundleSuffix}`,
+    config
+  );
+  const backup = await getBackupFlows(backupName, config);
+  const modules = await fetchInstalledModules(config);
+
+  const metadata = { ...backup.metadata };
+  STORAGE_FIELDS.forEach((field) => delete metadata[field]);
+  delete metadata.pinned;
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    metadata,
+    modules: modules.filter((m) => m.module !== "node-red"),
+    flows: backup.flows,
+  };
+
+  const data = await gzip(JSON.stringify(bundle));
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await writeFileAtomic(target, data);
+
+  return { path: target, size: data.length, bundle };
+}
+
+/**
+ * Resolve a bundle path given by a client inside the bundle directory, so
+ * that clients can't read or write other files of the server
+ */
+function resolveBundlePath(filePath, config) {
+  const { bundlesDir } = getPaths(config);
+  if (path.isAbsolute(filePath) || filePath.split(/[\\/]/).includes("..")) {
+    throw new Error(
+      `Bundle path ${filePath} must be relative to ${bundlesDir} and must not contain '..'`
+    );
+  }
+  return path.join(bundlesDir, filePath);
+}
+
+/**
+ * Read and verify a backup bundle
+ */
+async function readBackupBundle(filePath) {
+  let bundle;
+  try {
+    bundle = JSON.parse((await gunzip(await fs.readFile(filePath))).toString());
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Bundle file ${filePath} not found`);
     }
-    throw err;
+    throw new Error(`${filePath} is not a backup bundle (${error.message})`);
+  }
+
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error(`${filePath} is not a backup bundle`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(
+      `Bundle version ${bundle.version} is not supported, update the MCP server`
+    );
+  }
+  if (analyzeFlows(bundle.flows).checksum !== bundle.metadata?.checksum) {
+    throw new Error("Bundle is corrupted: checksum mismatch");
   }
+  return bundle;
+}
+
+/**
+ * Import a backup bundle as a backup and check (or install) the node
+ * modules its flows use
+ */
+async function importBackupBundle(filePath, options, config) {
+  const bundle = await readBackupBundle(resolveBundlePath(filePath, config));
+  const { metadata } = bundle;
+
+  const backupName = options.name || metadata.name;
+  const flows = metadata.tabs?.length
+    ? selectTabsForBackup(bundle.flows, metadata.tabs)
+    : bundle.flows;
+
+  // Check the name under the same lock that saves the backup
+  const backup = await withBackupStore(config, async (store) => {
+    if (
+      (await store.readMetadata()).backups.some((b) => b.name === backupName)
+    ) {
+      throw new Error(
+        `Backup '${backupName}' already exists, set name to import it under another name`
+      );
+    }
+    return saveBackup(
+      store,
+      backupName,
+      `Imported from ${path.basename(filePath)}: ${metadata.reason} (created ${
+        metadata.timestamp
+      })`,
+      config,
+      flows,
+      metadata.tabs
+    );
+  });
+
+  // Modules recorded in the bundle that provide node types used by the flows
+  const usedTypes = new Set(bundle.flows.map((node) => node.type));
+  const installed = await fetchInstalledModules(config);
+  const installedTypes = new Set(installed.flatMap((m) => m.types));
+  const modules = bundle.modules
+    .filter((m) => m.types.some((type) => usedTypes.has(type)))
+    .map(({ module, version }) => {
+      const current = installed.find((m) => m.module === module);
+      return {
+        module,
+        version,
+        installedVersion: current?.version,
+        status: !current
+          ? "missing"
+          : current.version === version
+          ? "ok"
+          : "version-differs",
+      };
+    });
+
+  const unknownTypes = [...usedTypes].filter(
+    (type) =>
+      type &&
+      !type.startsWith("subflow:") &&
+      !BUILTIN_TYPES.includes(type) &&
+      !installedTypes.has(type) &&
+      !bundle.modules.some((m) => m.types.includes(type))
+  );
+
+  const toInstall = modules.filter((m) => m.status === "missing");
+  if (options.installModules && toInstall.length > 0) {
+    await createAutoBackup(
+      "import-backup-bundle",
+      { path: filePath, installModules: true },
+      config
+    );
+    for (const entry of toInstall) {
+      try {
+        await callNodeRed(
+          "post",
+          "/nodes",
+          { module: entry.module, version: entry.version },
+          config
+        );
+        entry.status = "installed";
+      } catch (error) {
+        entry.status = "failed";
+        entry.error = error.message;
+      }
+    }
+  }
+
+  return {
+    backup,
+    exportedAt: bundle.exportedAt,
+    modules,
+    unknownTypes,
+  };
 }
 
 /**
  * List all available backups
  */
 async function listBackups(detailed, config) {
-  await ensureBackupDirectory(config);
-  const { metadataPath } = getPaths(config);
+  const store = await ensureBackupDirectory(config);
 
-  const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  const metadata = await store.readMetadata();
   const sortedBackups = metadata.backups.sort(
     (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
   );
@@ -409,6 +1472,8 @@ async function listBackups(detailed, config) {
     timestamp: backup.timestamp,
     reason: backup.reason,
     isLatest: index === 0,
+    pinned: Boolean(backup.pinned),
+    tabs: backup.tabs,
     ...(detailed && {
       flowsCount: backup.flowsCount,
       nodesCount: backup.nodesCount,
@@ -421,20 +1486,20 @@ async function listBackups(detailed, config) {
  * Check backup system health
  */
 async function checkBackupHealth(config) {
-  await ensureBackupDirectory(config);
-  const { backupDir, metadataPath } = getPaths(config);
+  const store = getBackupStore(config);
 
   const health = {
     healthy: true,
     count: 0,
     totalSize: 0,
     latestAge: null,
-    location: backupDir,
+    location: `${store.location} (${store.type} storage)`,
     issues: [],
   };
 
   try {
-    const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    await ensureBackupDirectory(config);
+    const metadata = await store.readMetadata();
     health.count = metadata.backups.length;
 
     if (health.count === 0) {
@@ -445,29 +1510,24 @@ async function checkBackupHealth(config) {
       return health;
     }
 
-    // Check backup files and calculate size
+    // Check stored backups and calculate size
     let corruptedCount = 0;
     for (const backup of metadata.backups) {
       try {
-        const backupFile = path.join(backupDir, backup.filename);
-        const stats = await fs.stat(backupFile);
-        health.totalSize += stats.size;
-
-        // Quick integrity check
-        const backupData = JSON.parse(await fs.readFile(backupFile, "utf8"));
-        const checksum = crypto
-          .createHash("sha256")
-          .update(JSON.stringify(backupData.flows))
-          .digest("hex");
-
-        if (checksum !== backup.checksum) {
-          corruptedCount++;
-        }
+        health.totalSize += await store.size(backup);
+
+        // Integrity check
+        await store.load(backup);
       } catch {
         corruptedCount++;
       }
     }
 
+    // Stores sharing content between backups report their real disk usage
+    if (store.totalSize) {
+      health.totalSize = await store.totalSize();
+    }
+
     // Find latest backup age
     const latestBackup = metadata.backups.sort(
       (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
@@ -481,7 +1541,9 @@ async function checkBackupHealth(config) {
     // Generate issues/recommendations
     if (corruptedCount > 0) {
       health.healthy = false;
-      health.issues.push(`Found ${corruptedCount} corrupted backup(s)`);
+      health.issues.push(
+        `Found ${corruptedCount} corrupted backup(s), run repair-backups to check the backup directory`
+      );
     }
 
     if (health.latestAge && health.latestAge > 24) {
@@ -490,9 +1552,17 @@ async function checkBackupHealth(config) {
       );
     }
 
-    if (health.count >= metadata.config.maxBackups * 0.9) {
+    // Pinned backups and the retention tiers are kept on top of maxBackups
+    const retention = getRetention(config);
+    const limit =
+      metadata.config.maxBackups +
+      retention.hourly +
+      retention.daily +
+      retention.weekly +
+      metadata.backups.filter((b) => b.pinned).length;
+    if (health.count >= limit * 0.9) {
       health.issues.push(
-        `Backup count approaching limit (${health.count}/${metadata.config.maxBackups})`
+        `Backup count approaching limit (${health.count}/${limit})`
       );
     }
 
@@ -505,7 +1575,7 @@ async function checkBackupHealth(config) {
   } catch (error) {
     health.healthy = false;
     health.issues.push(
-      "Backup system initialization failed, check path permissions"
+      `Backup system initialization failed (${error.message}), check path permissions or run repair-backups`
     );
   }
 
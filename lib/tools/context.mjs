@@ -0,0 +1,183 @@
+/**
+ * MCP tools for inspecting Node-RED context stores (global, flow and node)
+ */
+
+import { z } from "zod";
+import { callNodeRed } from "../utils.mjs";
+import { decodeDebugMessage } from "../comms.mjs";
+import { blockedByDryRun } from "../dry-run.mjs";
+
+/**
+ * Build the context API path of a scope
+ * @param {string} scope - Context scope (global, flow or node)
+ * @param {string} [id] - Flow or node ID (required for flow and node scope)
+ * @param {string} [key] - Context key
+ * @param {string} [store] - Context store name
+ * @returns {string} API path
+ */
+function getContextPath(scope, id, key, store) {
+  if (scope !== "global" && !id) {
+    throw new Error(`An id is required for ${scope} context`);
+  }
+  let contextPath =
+    scope === "global" ? "/context/global" : `/context/${scope}/${id}`;
+  if (key) contextPath += "/" + encodeURIComponent(key);
+  if (store) contextPath += "?store=" + encodeURIComponent(store);
+  return contextPath;
+}
+
+/**
+ * Describe a context scope for output
+ * @param {string} scope - Context scope
+ * @param {string} [id] - Flow or node ID
+ * @returns {string} Description
+ */
+function describeScope(scope, id) {
+  return scope === "global" ? "global context" : `${scope} context of ${id}`;
+}
+
+/**
+ * Format an encoded context value ({msg, format}) as readable text
+ * @param {string} key - Context key
+ * @param {Object} encoded - Value as encoded by the Node-RED runtime
+ * @returns {string} Formatted value
+ */
+function formatContextValue(key, encoded) {
+  const value = decodeDebugMessage(encoded);
+  const format = encoded.format ? ` (${encoded.format})` : "";
+  if (value === undefined) return `- ${key}${format}: undefined`;
+
+  const text =
+    typeof value === "string" && !/^(Object|array)/.test(encoded.format || "")
+      ? value
+      : JSON.stringify(value, null, 2);
+  return text.includes("\n")
+    ? `- ${key}${format}:\n\`\`\`json\n${text}\n\`\`\``
+    : `- ${key}${format}: ${text}`;
+}
+
+/**
+ * Registers context tools in the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} config - Server configuration
+ */
+export default function registerContextTools(server, config) {
+  const scopeSchema = z
+    .enum(["global", "flow", "node"])
+    .describe("Context scope");
+  const idSchema = z
+    .string()
+    .optional()
+    .describe("Flow (tab) ID for flow scope or node ID for node scope");
+  const storeSchema = z
+    .string()
+    .optional()
+    .describe(
+      "Context store name (optional, all stores or the default store if omitted)"
+    );
+
+  // Read context values
+  server.tool(
+    "get-context",
+    "Retrieves values from a Node-RED context store. Without a key it lists every key of the scope with its value; with a key it returns that value. Use it to inspect the state kept by stateful flows. Args: scope (global, flow or node) id (flow or node ID, not needed for global) key (optional) store (optional)",
+    {
+      scope: scopeSchema,
+      id: idSchema,
+      key: z
+        .string()
+        .optional()
+        .describe("Context key (optional, e.g. 'counter')"),
+      store: storeSchema,
+    },
+    async ({ scope, id, key, store }) => {
+      try {
+        const result = await callNodeRed(
+          "get",
+          getContextPath(scope, id, key, store),
+          null,
+          config
+        );
+        const scopeName = describeScope(scope, id);
+        const title = scopeName[0].toUpperCase() + scopeName.slice(1);
+
+        if (key) {
+          const storeName = result.store || store;
+          return {
+            content: [
+              {
+                type: "text",
+                text: `# ${title}${
+                  storeName ? ` (store: ${storeName})` : ""
+                }\n\n${formatContextValue(key, result)}`,
+              },
+            ],
+          };
+        }
+
+        // Without a key the values are grouped by store, also with ?store=
+        const stores = result || {};
+        const sections = Object.entries(stores).map(([storeName, values]) => {
+          const entries = Object.entries(values || {});
+          return [
+            `## Store: ${storeName}`,
+            entries.length
+              ? entries
+                  .map(([name, encoded]) => formatContextValue(name, encoded))
+                  .join("\n")
+              : "(empty)",
+          ].join("\n");
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: [
+                `# ${title}`,
+                ...(sections.length ? sections : ["(empty)"]),
+              ].join("\n\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Delete a context value
+  server.tool(
+    "delete-context-key",
+    "Deletes a key from a Node-RED context store, e.g. to reset a counter or cached state. Args: scope (global, flow or node) id (flow or node ID, not needed for global) key store (optional)",
+    {
+      scope: scopeSchema,
+      id: idSchema,
+      key: z.string().describe("Context key to delete"),
+      store: storeSchema,
+    },
+    async ({ scope, id, key, store }) => {
+      try {
+        const refused = blockedByDryRun("delete-context-key", config);
+        if (refused) return refused;
+        await callNodeRed(
+          "delete",
+          getContextPath(scope, id, key, store),
+          null,
+          config
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted '${key}' from ${describeScope(scope, id)}${
+                store ? ` (store: ${store})` : ""
+              }`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * MCP tools for observing Node-RED runtime output (debug sidebar, node status)
+ */
+
+import { z } from "zod";
+import { callNodeRed } from "../utils.mjs";
+import { getCommsClient } from "../comms.mjs";
+
+/**
+ * Parse an optional ISO timestamp filter
+ * @param {string} [since] - ISO timestamp
+ * @returns {number|undefined} Time in milliseconds
+ */
+function parseSince(since) {
+  if (!since) return undefined;
+  const time = Date.parse(since);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid timestamp: ${since}`);
+  }
+  return time;
+}
+
+/**
+ * Registers debug and status tools in the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} config - Server configuration
+ */
+export default function registerDebugTools(server, config) {
+  const comms = getCommsClient(config);
+
+  // Debug sidebar messages
+  server.tool(
+    "get-debug-messages",
+    "Retrieves messages shown in the Node-RED debug sidebar, captured from the editor websocket since the MCP server connected. Use it to see what a flow did after triggering it. Args: nodeId (optional, debug node ID) tabId (optional) since (optional, ISO timestamp) limit (optional, default 50)",
+    {
+      nodeId: z.string().optional().describe("Only messages from this debug node"),
+      tabId: z.string().optional().describe("Only messages from this tab"),
+      since: z
+        .string()
+        .optional()
+        .describe("Only messages after this ISO timestamp"),
+      limit: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Maximum number of most recent messages (default 50)"),
+    },
+    async ({ nodeId, tabId, since, limit = 50 }) => {
+      try {
+        await comms.connect();
+        const messages = comms.getDebugMessages({
+          nodeIds: nodeId ? [nodeId] : undefined,
+          tabId,
+          since: parseSince(since),
+          limit,
+        });
+
+        if (messages.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "No debug messages captured. Messages are captured while the MCP server is connected to Node-RED; make sure the debug nodes are active.",
+              },
+            ],
+          };
+        }
+        return {
+          content: [{ type: "text", text: JSON.stringify(messages, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Node status
+  server.tool(
+    "get-node-status",
+    "Retrieves the latest status (text, fill, shape) reported by nodes, as shown under the nodes in the editor. Args: nodeId (optional) tabId (optional) since (optional, ISO timestamp) includeNotifications (optional)",
+    {
+      nodeId: z.string().optional().describe("Only the status of this node"),
+      tabId: z.string().optional().describe("Only nodes on this tab"),
+      since: z
+        .string()
+        .optional()
+        .describe("Only status updates after this ISO timestamp"),
+      includeNotifications: z
+        .boolean()
+        .optional()
+        .describe("Also include runtime notifications"),
+    },
+    async ({ nodeId, tabId, since, includeNotifications }) => {
+      try {
+        await comms.connect();
+
+        // Status updates don't carry the tab, resolve it from the flows
+        let tabNodeIds;
+        if (tabId) {
+          const flows = await callNodeRed("get", "/flows", null, config);
+          tabNodeIds = flows
+            .filter((node) => node.z === tabId)
+            .map((node) => node.id);
+        }
+
+        const result = {
+          status: comms.getNodeStatus({
+            nodeIds: nodeId ? [nodeId] : undefined,
+            tabNodeIds,
+            since: parseSince(since),
+          }),
+        };
+        if (includeNotifications) {
+          result.notifications = comms.getNotifications({
+            since: parseSince(since),
+          });
+        }
+
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+}
@@ -3,21 +3,445 @@
  */
 
 import { z } from "zod";
-import { callNodeRed, formatFlowsOutput } from "../utils.mjs";
+import {
+  buildDeployRequest,
+  callNodeRed,
+  createRevisionConflict,
+  deployFlows,
+  formatFlowsOutput,
+  generateNodeId,
+  readFlows,
+} from "../utils.mjs";
+import {
+  diffFlows,
+  filterFlowsByTabs,
+  findReferencedConfigs,
+  formatDiffSummary,
+  isEmptyDiff,
+  normalizeFlows,
+} from "../flow-diff.mjs";
+import { createAutoBackup, getBackupFlows } from "./backup.mjs";
+import { dryRunSchema, formatDryRun, isDryRun } from "../dry-run.mjs";
+import {
+  formatValidationReport,
+  validateFlows,
+} from "../flow-validator.mjs";
+import { fetchInstalledModules, fetchNodeRegistry } from "../node-registry.mjs";
+import { buildFlowGraph, toDot, toMermaid } from "../flow-graph.mjs";
+import { prepareImport } from "../flow-import.mjs";
+
+/**
+ * Load flows from a diff source: "live", "backup:<name>" or a JSON string
+ * @param {string} source - Source specification
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Object>} Flat flows array and, for single flows, the flow ID
+ */
+async function loadFlowsSource(source, config) {
+  const trimmed = source.trim();
+  if (trimmed === "live") {
+    const { flows } = await readFlows(config);
+    return normalizeFlows(flows);
+  }
+  if (trimmed.startsWith("backup:")) {
+    const backup = await getBackupFlows(trimmed.substring(7), config);
+    return normalizeFlows(backup.flows);
+  }
+  return normalizeFlows(JSON.parse(trimmed));
+}
+
+/**
+ * Limit both sides of a diff to some tabs, with the global config nodes
+ * their nodes use
+ * @param {Object} before - Original flows (from loadFlowsSource)
+ * @param {Object} after - Changed flows (from loadFlowsSource)
+ * @param {Array<string>} scope - Tab or subflow IDs
+ * @returns {Object} Flows to compare (beforeFlows, afterFlows)
+ */
+function scopeDiffSources(before, after, scope) {
+  // A single flow object holds no global config nodes; deploying it leaves
+  // them as they are, so they are taken from the other side
+  const lookup = (source, other) =>
+    source.flowId ? [...source.flows, ...other.flows] : source.flows;
+  const beforeLookup = lookup(before, after);
+  const afterLookup = lookup(after, before);
+  const beforeNodes = filterFlowsByTabs(before.flows, scope);
+  const afterNodes = filterFlowsByTabs(after.flows, scope);
+
+  const configIds = new Set(
+    [
+      ...findReferencedConfigs(beforeLookup, beforeNodes),
+      ...findReferencedConfigs(afterLookup, afterNodes),
+    ].map((node) => node.id)
+  );
+  const withConfigs = (nodes, flows) => [
+    ...nodes,
+    ...[...configIds]
+      .filter((id) => !nodes.some((node) => node.id === id))
+      .map((id) => flows.find((node) => node.id === id))
+      .filter(Boolean),
+  ];
+  return {
+    beforeFlows: withConfigs(beforeNodes, beforeLookup),
+    afterFlows: withConfigs(afterNodes, afterLookup),
+  };
+}
+
+/**
+ * Build the complete flows that would result from deploying a single flow
+ * @param {Object} flowObj - Flow object as sent to /flow or /flow/:id
+ * @param {string} flowId - ID of the flow being replaced (or a placeholder for new flows)
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Object>} Merged flows and the IDs of the nodes in the flow
+ */
+async function mergeFlowIntoLive(flowObj, flowId, config) {
+  const { flows: liveFlows } = await readFlows(config);
+  const { flows: flowNodes } = normalizeFlows({ ...flowObj, id: flowId });
+  return {
+    flows: [
+      ...liveFlows.filter((node) => node.id !== flowId && node.z !== flowId),
+      ...flowNodes,
+    ],
+    scope: flowNodes.map((node) => node.id),
+  };
+}
+
+/**
+ * Validate flows against the installed node types and their defaults
+ * @param {Array} flows - Complete flows to validate
+ * @param {Object} config - Server configuration
+ * @param {Array<string>} [scope] - Only report issues for these node IDs
+ * @returns {Promise<Array<Object>>} Validation issues
+ */
+async function checkFlows(flows, config, scope) {
+  let registry;
+  let installed;
+  try {
+    registry = await fetchNodeRegistry(config);
+  } catch (_) {
+    // Validate without the type and defaults checks
+  }
+  try {
+    installed = (await fetchInstalledModules(config)).flatMap((module) =>
+      module.sets.filter((set) => set.enabled).flatMap((set) => set.types)
+    );
+  } catch (_) {
+    // Types missing from the parsed editor HTML are only warnings then
+  }
+
+  let issues = validateFlows(flows, { registry, installed });
+  if (scope) {
+    issues = issues.filter(
+      (issue) => !issue.nodeId || scope.includes(issue.nodeId)
+    );
+  }
+  if (!registry) {
+    issues.push({
+      severity: "warning",
+      message:
+        "Installed node types could not be read, type and defaults checks skipped",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Build the response for a deployment blocked by validation errors
+ * @param {Array<Object>} issues - Validation issues
+ * @returns {Object|null} Tool response, or null if there are no errors
+ */
+function blockedByValidation(issues) {
+  if (!issues.some((issue) => issue.severity === "error")) return null;
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Not deployed: validation failed (set skipValidation to deploy anyway)\n\n${formatValidationReport(
+          issues
+        )}`,
+      },
+    ],
+  };
+}
+
+/**
+ * Append validation warnings to a result message
+ * @param {string} message - Result message
+ * @param {Array<Object>} issues - Validation issues
+ * @returns {string} Message with warnings
+ */
+function withWarnings(message, issues) {
+  return issues.length > 0
+    ? `${message}\n\n${formatValidationReport(issues)}`
+    : message;
+}
+
+/**
+ * Describe a request for a dry run, with the changes to the live flows
+ * @param {Object} request - Request that would be sent
+ * @param {Array} flows - Complete flows after the request
+ * @param {Object} config - Server configuration
+ * @returns {Promise<string>} Dry run report
+ */
+async function previewFlowChange(request, flows, config) {
+  const { flows: liveFlows } = await readFlows(config);
+  return formatDryRun(request, diffFlows(liveFlows, flows));
+}
+
+/**
+ * Import exported nodes with new IDs and deploy them next to the live flows
+ * @param {Array} snippet - Exported nodes
+ * @param {Object} options - Import options
+ * @param {string} [options.tabId] - Existing tab to add the nodes to
+ * @param {string} [options.newTabLabel] - Create a new tab with this label for the nodes
+ * @param {boolean} [options.skipValidation] - Deploy even if validation finds errors
+ * @param {boolean} [options.dryRun] - Only report the deploy request and the changes
+ * @param {Object} config - Server configuration
+ * @param {Object} revisions - Revision tracker of the session
+ * @returns {Promise<Object>} Imported nodes, ID map, validation issues and
+ *   for a dry run the report
+ */
+async function importSnippet(snippet, options, config, revisions) {
+  const { flows: liveFlows, rev } = await readFlows(config);
+  const newNodes = [];
+
+  let targetTabId = options.tabId || null;
+  if (
+    targetTabId &&
+    !liveFlows.some((node) => node.id === targetTabId && node.type === "tab")
+  ) {
+    throw new Error(`Tab ${targetTabId} not found`);
+  }
+  if (!targetTabId && options.newTabLabel) {
+    targetTabId = generateNodeId();
+    newNodes.push({
+      id: targetTabId,
+      type: "tab",
+      label: options.newTabLabel,
+      disabled: false,
+      info: "",
+    });
+  }
+
+  const prepared = prepareImport(snippet, liveFlows, targetTabId);
+  newNodes.push(...prepared.nodes);
+
+  const flows = [...liveFlows, ...newNodes];
+  const issues = options.skipValidation
+    ? []
+    : await checkFlows(
+        flows,
+        config,
+        newNodes.map((node) => node.id)
+      );
+  const valid = !issues.some((issue) => issue.severity === "error");
+  // Only the new nodes need to be started
+  const deployOptions = { deploymentType: "nodes", rev };
+  let preview = null;
+  if (valid && options.dryRun) {
+    preview = formatDryRun(
+      buildDeployRequest(flows, config, deployOptions),
+      diffFlows(liveFlows, flows)
+    );
+  } else if (valid) {
+    const result = await deployFlows(flows, config, deployOptions);
+    revisions.set(result?.rev);
+  }
+
+  return {
+    deployed: valid && !options.dryRun,
+    preview,
+    issues,
+    targetTabId,
+    nodes: newNodes,
+    idMap: prepared.idMap,
+    reusedConfigs: prepared.reusedConfigs,
+  };
+}
+
+/**
+ * Describe the result of an import
+ * @param {Object} result - Result of importSnippet
+ * @param {string} heading - First line of the report
+ * @returns {string} Import report
+ */
+function formatImportResult(result, heading) {
+  const lines = [heading];
+  if (result.reusedConfigs > 0) {
+    lines.push(`Reused ${result.reusedConfigs} existing config node(s)`);
+  }
+  lines.push("", "ID mapping (old -> new):");
+  result.idMap.forEach((newId, oldId) => {
+    lines.push(`  ${oldId} -> ${newId}`);
+  });
+  return withWarnings(lines.join("\n"), result.issues);
+}
+
+/**
+ * Get the flow that has to be updated to change a node.
+ * Nodes on a tab belong to that tab's flow; global config nodes and
+ * nodes inside subflows belong to the "global" flow.
+ * @param {Array} flows - All flows
+ * @param {Object} node - Node
+ * @returns {string} Tab ID or "global"
+ */
+function getOwningFlowId(flows, node) {
+  const owner = flows.find((n) => n.id === node.z);
+  return owner?.type === "tab" ? owner.id : "global";
+}
+
+/**
+ * Find a node and the flow that has to be updated to change it
+ * @param {string} nodeId - Node ID
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Object>} The node, the ID of its owning flow and all flows
+ */
+async function findNodeFlow(nodeId, config) {
+  const { flows } = await readFlows(config);
+  const node = flows.find((n) => n.id === nodeId);
+  if (!node) {
+    throw new Error(`Node ${nodeId} not found`);
+  }
+  if (node.type === "tab" || node.type === "subflow") {
+    throw new Error(`${nodeId} is a ${node.type}, not a node`);
+  }
+  return { node, flowId: getOwningFlowId(flows, node), flows };
+}
+
+/**
+ * List the node arrays of a flow returned by /flow/:id
+ * @param {Object} flow - Flow object
+ * @returns {Array<Array>} Node arrays (nodes, configs, subflow contents)
+ */
+function getFlowNodeLists(flow) {
+  return [
+    flow.nodes,
+    flow.configs,
+    ...(flow.subflows || []).flatMap((subflow) => [
+      subflow.nodes,
+      subflow.configs,
+    ]),
+  ].filter(Array.isArray);
+}
+
+/**
+ * Find a node inside a flow returned by /flow/:id
+ * @param {Object} flow - Flow object
+ * @param {string} nodeId - Node ID
+ * @returns {Object|undefined} The node
+ */
+function findFlowNode(flow, nodeId) {
+  for (const nodes of getFlowNodeLists(flow)) {
+    const node = nodes.find((n) => n.id === nodeId);
+    if (node) return node;
+  }
+  return undefined;
+}
+
+/**
+ * Read a single flow, apply an edit and deploy only that flow
+ * @param {string} flowId - Flow (tab) ID or "global"
+ * @param {Object} config - Server configuration
+ * @param {Object} revisions - Revision tracker of the session
+ * @param {Function} edit - Receives the flow object and modifies it in place
+ * @returns {Promise<any>} Value returned by the edit function
+ */
+async function editFlow(flowId, config, revisions, edit) {
+  const flow = await callNodeRed("get", "/flow/" + flowId, null, config);
+  const result = edit(flow);
+  await callNodeRed("put", "/flow/" + flowId, flow, config);
+  await revisions.refresh();
+  return result;
+}
+
+/**
+ * Describe the single-flow deploys of an edit for a dry run
+ * @param {Array<string>} flowIds - Flows (tab IDs or "global") the edit deploys
+ * @param {Object} config - Server configuration
+ * @param {Function} edit - Receives a flow object and modifies it in place
+ * @returns {Promise<string>} Dry run report
+ */
+async function previewFlowEdit(flowIds, config, edit) {
+  const requests = [];
+  for (const flowId of flowIds) {
+    const flow = await callNodeRed("get", "/flow/" + flowId, null, config);
+    edit(flow);
+    requests.push({ method: "put", path: "/flow/" + flowId, body: flow });
+  }
+
+  // The same edit on all nodes at once gives the flows after the requests
+  const { flows: liveFlows } = await readFlows(config);
+  const all = { nodes: structuredClone(liveFlows) };
+  edit(all);
+  return formatDryRun(
+    requests,
+    diffFlows(liveFlows, getFlowNodeLists(all).flat())
+  );
+}
+
+/**
+ * Track the flows revision a session last read, so that changes are
+ * rejected when someone else deployed in between (API v2 only)
+ * @param {Object} config - Server configuration
+ * @returns {Object} Revision tracker
+ */
+function createRevisionTracker(config) {
+  const enabled = config.nodeRedAPIVersion === "v2";
+  let lastReadRevision = null;
+
+  return {
+    get: () => lastReadRevision,
+    set: (rev) => {
+      lastReadRevision = rev || null;
+    },
+
+    /**
+     * Read all flows for the client and remember their revision. Internal
+     * and summary reads use readFlows, so they don't move the baseline.
+     * @returns {Promise<Object>} Flows array and revision
+     */
+    async read() {
+      const live = await readFlows(config);
+      lastReadRevision = live.rev;
+      return live;
+    },
+
+    /**
+     * Remember the current revision, e.g. after a change of this session
+     */
+    async refresh() {
+      if (enabled) await this.read();
+    },
+
+    /**
+     * Throw a conflict if the flows were changed since they were last read
+     */
+    async check() {
+      if (!enabled || !lastReadRevision) return;
+      const { rev } = await readFlows(config);
+      if (rev !== lastReadRevision) {
+        throw createRevisionConflict(lastReadRevision);
+      }
+    },
+  };
+}
 
 /**
  * Registers flow-related tools in the MCP server
  * @param {Object} server - MCP server instance
  * @param {Object} config - Server configuration
+ * @param {Object} history - Change history of the session (see createSessionHistory)
  */
-export default function registerFlowTools(server, config) {
+export default function registerFlowTools(server, config, history) {
+  // Flows revision last read by this session, used to detect concurrent edits
+  const revisions = createRevisionTracker(config);
+
   // Get all flows
   server.tool(
     "get-flows",
     "Retrieves the complete list of flows from the Node-RED instance.",
     {},
     async () => {
-      const flows = await callNodeRed("get", "/flows", null, config);
+      const { flows } = await revisions.read();
       return {
         content: [{ type: "text", text: JSON.stringify(flows, null, 2) }],
       };
@@ -27,13 +451,128 @@ export default function registerFlowTools(server, config) {
   // Update flows
   server.tool(
     "update-flows",
-    "Updates the entire flow configuration of the Node-RED instance. Args: flowsJson (e.g.'[{type: 'tab', id: '396c2376c693d', label: 'Sheet 1'}]')",
-    { flowsJson: z.string().describe("Flow configuration in JSON") },
-    async ({ flowsJson }) => {
+    "Updates the entire flow configuration of the Node-RED instance. The flows are validated first and not deployed if errors are found. With Node-RED API v2 the update is rejected if the flows were changed in Node-RED since this session last read them with get-flows or get-flow. With dryRun the request and the node changes are reported without deploying. Args: flowsJson (e.g.'[{type: 'tab', id: '396c2376c693d', label: 'Sheet 1'}]') deploymentType (optional, e.g.'nodes') rev (optional) skipValidation (optional) dryRun (optional)",
+    {
+      flowsJson: z
+        .string()
+        .optional()
+        .describe(
+          "Flow configuration in JSON (required unless deploymentType is 'reload')"
+        ),
+      deploymentType: z
+        .enum(["full", "nodes", "flows", "reload"])
+        .optional()
+        .describe(
+          "full: restart all flows (default), nodes: restart only changed nodes, flows: restart only changed flows, reload: reload flows from storage without changing them"
+        ),
+      rev: z
+        .string()
+        .optional()
+        .describe(
+          "Flows revision the update is based on (optional, defaults to the revision this session last read)"
+        ),
+      skipValidation: z
+        .boolean()
+        .optional()
+        .describe("Deploy even if validation finds errors"),
+      dryRun: dryRunSchema,
+    },
+    async ({ flowsJson, deploymentType, rev, skipValidation, dryRun }) => {
       try {
+        if (deploymentType === "reload") {
+          if (isDryRun(dryRun, config)) {
+            const request = buildDeployRequest([], config, { deploymentType });
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: formatDryRun(
+                    request,
+                    "The flows would be reloaded from storage, not changed"
+                  ),
+                },
+              ],
+            };
+          }
+          await createAutoBackup("update-flows", { deploymentType }, config);
+          await deployFlows([], config, { deploymentType });
+          return { content: [{ type: "text", text: "Flows reloaded" }] };
+        }
+        if (!flowsJson) {
+          throw new Error("flowsJson is required");
+        }
+
         const flowsObj = JSON.parse(flowsJson);
-        await callNodeRed("post", "/flows", flowsObj, config);
-        return { content: [{ type: "text", text: "Flows updated" }] };
+        const issues = skipValidation ? [] : await checkFlows(flowsObj, config);
+        const blocked = blockedByValidation(issues);
+        if (blocked) return blocked;
+
+        const options = { deploymentType, rev: rev || revisions.get() };
+        if (isDryRun(dryRun, config)) {
+          const request = buildDeployRequest(flowsObj, config, options);
+          const text = await previewFlowChange(request, flowsObj, config);
+          return { content: [{ type: "text", text: withWarnings(text, issues) }] };
+        }
+
+        await createAutoBackup(
+          "update-flows",
+          { flowsJson, deploymentType, rev, skipValidation },
+          config
+        );
+        const change = await history.begin("update-flows", {
+          flowsJson,
+          deploymentType,
+          rev,
+          skipValidation,
+        });
+        const result = await deployFlows(flowsObj, config, options);
+        revisions.set(result?.rev);
+        await change.commit();
+        return {
+          content: [{ type: "text", text: withWarnings("Flows updated", issues) }],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Validate flows
+  server.tool(
+    "validate-flows",
+    "Checks flows for problems before deploying: duplicate IDs, wires to missing nodes, nodes on missing tabs/subflows, missing config nodes, node types that are not installed, properties against the installed type's defaults (missing required properties, config nodes of the wrong type, outputs versus wires) and unresolved link nodes. Validates the live flows if no JSON is given. Args: flowsJson (optional, flows array or single flow object)",
+    {
+      flowsJson: z
+        .string()
+        .optional()
+        .describe(
+          "Flows array or single flow object in JSON (optional, defaults to the live flows)"
+        ),
+    },
+    async ({ flowsJson }) => {
+      try {
+        let issues;
+        if (!flowsJson) {
+          const { flows } = await readFlows(config);
+          issues = await checkFlows(flows, config);
+        } else {
+          const data = JSON.parse(flowsJson);
+          if (Array.isArray(data)) {
+            issues = await checkFlows(data, config);
+          } else {
+            // Single flow: check it in the context of the other live flows
+            const merged = await mergeFlowIntoLive(
+              data,
+              data.id || "new-flow",
+              config
+            );
+            issues = await checkFlows(merged.flows, config, merged.scope);
+          }
+        }
+
+        return {
+          content: [{ type: "text", text: formatValidationReport(issues) }],
+        };
       } catch (error) {
         return { content: [{ type: "text", text: `Error: ${error.message}` }] };
       }
@@ -46,6 +585,8 @@ export default function registerFlowTools(server, config) {
     "Retrieves the configuration of a specific flow by its ID. Args: id (e.g.'396c237c693dc')",
     { id: z.string().describe("Flow ID") },
     async ({ id }) => {
+      // The revision is read first, so it is never newer than the flow
+      await revisions.refresh();
       const flow = await callNodeRed("get", "/flow/" + id, null, config);
       return {
         content: [{ type: "text", text: JSON.stringify(flow, null, 2) }],
@@ -56,16 +597,107 @@ export default function registerFlowTools(server, config) {
   // Update flow by ID
   server.tool(
     "update-flow",
-    "Updates the configuration of a specific flow by its id. Args: id (e.g.'396c237c693dc') flowJson (e.g.'{id: '91ad456e52b8', label: 'Sheet 1', nodes: [], configs: []}')",
+    "Updates the configuration of a specific flow by its id. The flow is validated first and not deployed if errors are found. With dryRun the request and the node changes are reported without deploying. Args: id (e.g.'396c237c693dc') flowJson (e.g.'{id: '91ad456e52b8', label: 'Sheet 1', nodes: [], configs: []}') skipValidation (optional) dryRun (optional)",
     {
       id: z.string().describe("Flow ID"),
       flowJson: z.string().describe("Flow configuration in JSON"),
+      skipValidation: z
+        .boolean()
+        .optional()
+        .describe("Deploy even if validation finds errors"),
+      dryRun: dryRunSchema,
     },
-    async ({ id, flowJson }) => {
+    async ({ id, flowJson, skipValidation, dryRun }) => {
       try {
         const flowObj = JSON.parse(flowJson);
+        await revisions.check();
+        const merged = await mergeFlowIntoLive(flowObj, id, config);
+        const issues = skipValidation
+          ? []
+          : await checkFlows(merged.flows, config, merged.scope);
+        const blocked = blockedByValidation(issues);
+        if (blocked) return blocked;
+
+        if (isDryRun(dryRun, config)) {
+          const request = { method: "put", path: "/flow/" + id, body: flowObj };
+          const text = await previewFlowChange(request, merged.flows, config);
+          return { content: [{ type: "text", text: withWarnings(text, issues) }] };
+        }
+
+        await createAutoBackup(
+          "update-flow",
+          { id, flowJson, skipValidation },
+          config
+        );
+        const change = await history.begin("update-flow", {
+          id,
+          flowJson,
+          skipValidation,
+        });
         await callNodeRed("put", "/flow/" + id, flowObj, config);
-        return { content: [{ type: "text", text: `Flow ${id} updated` }] };
+        await revisions.refresh();
+        await change.commit();
+        return {
+          content: [
+            { type: "text", text: withWarnings(`Flow ${id} updated`, issues) },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Compare flows
+  server.tool(
+    "diff-flows",
+    "Compares two flow configurations and reports added, removed and modified tabs, nodes (property by property) and wires. Each source is 'live' (current flows), 'backup:<name>' (a saved backup) or a JSON string (flows array or single flow object). A single flow is compared with the global config nodes it uses. Use it to preview what update-flows or update-flow would change. Args: from (e.g.'live') to (e.g.'backup:backup_20250101_120000')",
+    {
+      from: z
+        .string()
+        .describe("Original flows: 'live', 'backup:<name>' or flows JSON"),
+      to: z
+        .string()
+        .describe("Changed flows: 'live', 'backup:<name>' or flows JSON"),
+      tabs: z
+        .array(z.string())
+        .optional()
+        .describe(
+          "Only compare these tab/subflow IDs and the global config nodes they use (optional, defaults to the flow ID when a single flow object is given)"
+        ),
+      ignorePositions: z
+        .boolean()
+        .optional()
+        .describe("Ignore node position (x/y) changes"),
+    },
+    async ({ from, to, tabs, ignorePositions }) => {
+      try {
+        const before = await loadFlowsSource(from, config);
+        const after = await loadFlowsSource(to, config);
+
+        // A single flow object only describes one tab, so compare just that
+        // tab and the global config nodes it uses
+        const scope = tabs?.length
+          ? tabs
+          : [before.flowId, after.flowId].filter(Boolean);
+        const { beforeFlows, afterFlows } = scope.length
+          ? scopeDiffSources(before, after, scope)
+          : { beforeFlows: before.flows, afterFlows: after.flows };
+
+        const diff = diffFlows(beforeFlows, afterFlows, { ignorePositions });
+        if (isEmptyDiff(diff)) {
+          return { content: [{ type: "text", text: "No differences found" }] };
+        }
+
+        const header = scope.length ? `Scope: ${scope.join(", ")}\n\n` : "";
+        return {
+          content: [
+            {
+              type: "text",
+              text: header + formatDiffSummary(diff, { details: true }),
+            },
+          ],
+        };
       } catch (error) {
         return { content: [{ type: "text", text: `Error: ${error.message}` }] };
       }
@@ -78,7 +710,7 @@ export default function registerFlowTools(server, config) {
     "Lists all flow tabs (workspaces) in the Node-RED instance.",
     {},
     async () => {
-      const flows = await callNodeRed("get", "/flows", null, config);
+      const { flows } = await readFlows(config);
       const tabs = flows
         .filter((node) => node.type === "tab")
         .map(
@@ -92,15 +724,221 @@ export default function registerFlowTools(server, config) {
   // Create new flow
   server.tool(
     "create-flow",
-    "Creates a new flow in the Node-RED instance. Args: flowJson (e.g.'{id: '91ad456e52b8', label: 'Sheet 1', nodes: [], configs: []}')",
-    { flowJson: z.string().describe("New flow configuration in JSON") },
-    async ({ flowJson }) => {
+    "Creates a new flow in the Node-RED instance. The flow is validated first and not deployed if errors are found. With dryRun the request and the node changes are reported without deploying. Args: flowJson (e.g.'{id: '91ad456e52b8', label: 'Sheet 1', nodes: [], configs: []}') skipValidation (optional) dryRun (optional)",
+    {
+      flowJson: z.string().describe("New flow configuration in JSON"),
+      skipValidation: z
+        .boolean()
+        .optional()
+        .describe("Deploy even if validation finds errors"),
+      dryRun: dryRunSchema,
+    },
+    async ({ flowJson, skipValidation, dryRun }) => {
       try {
         const flowObj = JSON.parse(flowJson);
+        await revisions.check();
+        const merged = await mergeFlowIntoLive(
+          flowObj,
+          flowObj.id || "new-flow",
+          config
+        );
+        const issues = skipValidation
+          ? []
+          : await checkFlows(merged.flows, config, merged.scope);
+        const blocked = blockedByValidation(issues);
+        if (blocked) return blocked;
+
+        if (isDryRun(dryRun, config)) {
+          const request = { method: "post", path: "/flow", body: flowObj };
+          const text = await previewFlowChange(request, merged.flows, config);
+          return {
+            content: [
+              {
+                type: "text",
+                text: withWarnings(
+                  `${text}\n\nNode-RED assigns the ID of the new flow`,
+                  issues
+                ),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup(
+          "create-flow",
+          { flowJson, skipValidation },
+          config
+        );
+        const change = await history.begin("create-flow", {
+          flowJson,
+          skipValidation,
+        });
         const result = await callNodeRed("post", "/flow", flowObj, config);
+        await revisions.refresh();
+        await change.commit();
         return {
           content: [
-            { type: "text", text: `New flow created with ID: ${result.id}` },
+            {
+              type: "text",
+              text: withWarnings(
+                `New flow created with ID: ${result.id}`,
+                issues
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Import exported flow JSON
+  server.tool(
+    "import-flow-snippet",
+    "Imports exported Node-RED flow JSON with newly generated IDs, so the same snippet can be imported several times without ID collisions. Wires, tabs, groups, link nodes, subflow instances and config node references are rewritten consistently; config nodes that already exist are reused. With dryRun the request and the node changes are reported without deploying. Args: flowsJson (e.g.'[{id: 'a1', type: 'inject', z: 't1', wires: [['a2']]}, {id: 'a2', type: 'debug', z: 't1', wires: []}]') tabId (optional) newTabLabel (optional) dryRun (optional)",
+    {
+      flowsJson: z
+        .string()
+        .describe("Exported flow JSON (array of nodes, may include tabs)"),
+      tabId: z
+        .string()
+        .optional()
+        .describe("Existing tab to add the nodes to (optional)"),
+      newTabLabel: z
+        .string()
+        .optional()
+        .describe(
+          "Create a new tab with this label for the nodes (optional, without tabId or newTabLabel the snippet's own tabs are imported as new tabs)"
+        ),
+      skipValidation: z
+        .boolean()
+        .optional()
+        .describe("Deploy even if validation finds errors"),
+      dryRun: dryRunSchema,
+    },
+    async ({ flowsJson, tabId, newTabLabel, skipValidation, dryRun }) => {
+      try {
+        await revisions.check();
+        const snippet = normalizeFlows(JSON.parse(flowsJson)).flows;
+        if (isDryRun(dryRun, config)) {
+          const result = await importSnippet(
+            snippet,
+            { tabId, newTabLabel, skipValidation, dryRun: true },
+            config,
+            revisions
+          );
+          if (!result.preview) return blockedByValidation(result.issues);
+          return {
+            content: [
+              {
+                type: "text",
+                text: withWarnings(result.preview, result.issues),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup(
+          "import-flow-snippet",
+          { flowsJson, tabId, newTabLabel, skipValidation },
+          config
+        );
+        const change = await history.begin("import-flow-snippet", {
+          flowsJson,
+          tabId,
+          newTabLabel,
+          skipValidation,
+        });
+        const result = await importSnippet(
+          snippet,
+          { tabId, newTabLabel, skipValidation },
+          config,
+          revisions
+        );
+        if (!result.deployed) return blockedByValidation(result.issues);
+        await change.commit();
+
+        const target = result.targetTabId
+          ? ` into tab ${result.targetTabId}`
+          : "";
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatImportResult(
+                result,
+                `Imported ${result.nodes.length} node(s)${target}`
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Clone a tab
+  server.tool(
+    "clone-tab",
+    "Creates a copy of a flow tab with newly generated IDs for the tab and all its nodes. Global config nodes are shared with the original. With dryRun the request and the node changes are reported without deploying. Args: tabId (e.g.'396c237c693dc') label (optional, e.g.'Sheet 1 copy') dryRun (optional)",
+    {
+      tabId: z.string().describe("ID of the tab to clone"),
+      label: z
+        .string()
+        .optional()
+        .describe("Label of the new tab (optional, defaults to '<label> (copy)')"),
+      dryRun: dryRunSchema,
+    },
+    async ({ tabId, label, dryRun }) => {
+      try {
+        await revisions.check();
+        const { flows } = await readFlows(config);
+        const tab = flows.find(
+          (node) => node.id === tabId && node.type === "tab"
+        );
+        if (!tab) {
+          throw new Error(`Tab ${tabId} not found`);
+        }
+
+        const snippet = [
+          { ...tab, label: label || `${tab.label || "Unnamed"} (copy)` },
+          ...flows.filter((node) => node.z === tabId),
+        ];
+        if (isDryRun(dryRun, config)) {
+          const result = await importSnippet(
+            snippet,
+            { dryRun: true },
+            config,
+            revisions
+          );
+          if (!result.preview) return blockedByValidation(result.issues);
+          return {
+            content: [
+              {
+                type: "text",
+                text: withWarnings(result.preview, result.issues),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup("clone-tab", { tabId, label }, config);
+        const change = await history.begin("clone-tab", { tabId, label });
+        const result = await importSnippet(snippet, {}, config, revisions);
+        if (!result.deployed) return blockedByValidation(result.issues);
+        await change.commit();
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatImportResult(
+                result,
+                `Tab ${tabId} cloned as ${result.idMap.get(tabId)}`
+              ),
+            },
           ],
         };
       } catch (error) {
@@ -112,11 +950,35 @@ export default function registerFlowTools(server, config) {
   // Delete flow
   server.tool(
     "delete-flow",
-    "Deletes a specific flow from the Node-RED instance by its ID. Args: id (e.g.'396c237c693dc')",
-    { id: z.string().describe("Flow ID to delete") },
-    async ({ id }) => {
+    "Deletes a specific flow from the Node-RED instance by its ID. With dryRun the request and the removed nodes are reported without deleting. Args: id (e.g.'396c237c693dc') dryRun (optional)",
+    { id: z.string().describe("Flow ID to delete"), dryRun: dryRunSchema },
+    async ({ id, dryRun }) => {
       try {
+        if (isDryRun(dryRun, config)) {
+          const { flows } = await readFlows(config);
+          if (!flows.some((node) => node.id === id && node.type === "tab")) {
+            throw new Error(`Flow ${id} not found`);
+          }
+          const request = { method: "delete", path: "/flow/" + id };
+          const remaining = flows.filter(
+            (node) => node.id !== id && node.z !== id
+          );
+          return {
+            content: [
+              {
+                type: "text",
+                text: await previewFlowChange(request, remaining, config),
+              },
+            ],
+          };
+        }
+
+        await revisions.check();
+        await createAutoBackup("delete-flow", { id }, config);
+        const change = await history.begin("delete-flow", { id });
         await callNodeRed("delete", "/flow/" + id, null, config);
+        await revisions.refresh();
+        await change.commit();
         return { content: [{ type: "text", text: `Flow ${id} deleted` }] };
       } catch (error) {
         return { content: [{ type: "text", text: `Error: ${error.message}` }] };
@@ -124,6 +986,338 @@ export default function registerFlowTools(server, config) {
     }
   );
 
+  // Add a single node
+  server.tool(
+    "add-node",
+    "Adds a single node to an existing flow tab and deploys only that tab. The node ID is generated if not provided. With dryRun the request and the node changes are reported without deploying. Args: flowId (e.g.'396c237c693dc', or 'global' for config nodes) nodeJson (e.g.'{type: 'debug', name: 'out', x: 300, y: 100, wires: []}') dryRun (optional)",
+    {
+      flowId: z
+        .string()
+        .describe("ID of the tab to add the node to, or 'global' for a config node"),
+      nodeJson: z.string().describe("Node configuration in JSON"),
+      dryRun: dryRunSchema,
+    },
+    async ({ flowId, nodeJson, dryRun }) => {
+      try {
+        await revisions.check();
+        const node = JSON.parse(nodeJson);
+        if (!node || typeof node !== "object" || !node.type) {
+          throw new Error("Node must be an object with a type");
+        }
+        if (node.id) {
+          const { flows } = await readFlows(config);
+          if (flows.some((n) => n.id === node.id)) {
+            throw new Error(`Node ID ${node.id} already exists`);
+          }
+        } else {
+          node.id = generateNodeId();
+        }
+
+        const edit = (flow) => {
+          if (flowId === "global") {
+            delete node.z;
+            flow.configs = flow.configs || [];
+            flow.configs.push(node);
+          } else {
+            node.z = flowId;
+            flow.nodes = flow.nodes || [];
+            flow.nodes.push(node);
+          }
+        };
+        if (isDryRun(dryRun, config)) {
+          const text = await previewFlowEdit([flowId], config, edit);
+          return { content: [{ type: "text", text }] };
+        }
+
+        await createAutoBackup("add-node", { flowId, nodeJson }, config);
+        const change = await history.begin("add-node", { flowId, nodeJson });
+        await editFlow(flowId, config, revisions, edit);
+        await change.commit();
+        return {
+          content: [
+            { type: "text", text: `Node ${node.id} added to flow ${flowId}` },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Update properties of a single node
+  server.tool(
+    "update-node",
+    "Updates properties of a single node and deploys only the tab that contains it. Only the given properties change; set a property to null to remove it. With dryRun the request and the node changes are reported without deploying. Args: id (e.g.'a1b2c3d4e5f60718') propertiesJson (e.g.'{name: 'new name', topic: 'sensors/temp'}') dryRun (optional)",
+    {
+      id: z.string().describe("Node ID"),
+      propertiesJson: z
+        .string()
+        .describe("Properties to change in JSON (null removes a property)"),
+      dryRun: dryRunSchema,
+    },
+    async ({ id, propertiesJson, dryRun }) => {
+      try {
+        await revisions.check();
+        const properties = JSON.parse(propertiesJson);
+        if (!properties || typeof properties !== "object") {
+          throw new Error("Properties must be a JSON object");
+        }
+        if ("id" in properties && properties.id !== id) {
+          throw new Error("The node ID cannot be changed");
+        }
+        const { node: current, flowId } = await findNodeFlow(id, config);
+        if ("z" in properties && properties.z !== current.z) {
+          throw new Error(
+            "Moving a node to another flow is not supported, delete and add it instead"
+          );
+        }
+
+        const edit = (flow) => {
+          const node = findFlowNode(flow, id);
+          Object.entries(properties).forEach(([key, value]) => {
+            if (value === null) {
+              delete node[key];
+            } else {
+              node[key] = value;
+            }
+          });
+          return Object.keys(properties);
+        };
+        if (isDryRun(dryRun, config)) {
+          const text = await previewFlowEdit([flowId], config, edit);
+          return { content: [{ type: "text", text }] };
+        }
+
+        await createAutoBackup("update-node", { id, propertiesJson }, config);
+        const change = await history.begin("update-node", {
+          id,
+          propertiesJson,
+        });
+        const changed = await editFlow(flowId, config, revisions, edit);
+        await change.commit();
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Node ${id} updated (${changed.join(", ")})`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Delete a single node
+  server.tool(
+    "delete-node",
+    "Deletes a single node, removes all wires and link references pointing at it, and deploys only the tabs that contained the node or link nodes pointing at it. With dryRun the requests and the node changes are reported without deploying. Args: id (e.g.'a1b2c3d4e5f60718') dryRun (optional)",
+    { id: z.string().describe("Node ID to delete"), dryRun: dryRunSchema },
+    async ({ id, dryRun }) => {
+      try {
+        await revisions.check();
+        const { flowId, flows } = await findNodeFlow(id, config);
+
+        // Link nodes on other tabs can point at the node too
+        const flowIds = new Set([flowId]);
+        flows
+          .filter(
+            (node) => Array.isArray(node.links) && node.links.includes(id)
+          )
+          .forEach((node) => flowIds.add(getOwningFlowId(flows, node)));
+
+        let removedWires = 0;
+        let removedLinks = 0;
+        const edit = (flow) => {
+          getFlowNodeLists(flow).forEach((nodes) => {
+            const index = nodes.findIndex((n) => n.id === id);
+            if (index !== -1) nodes.splice(index, 1);
+
+            nodes.forEach((node) => {
+              if (Array.isArray(node.wires)) {
+                node.wires = node.wires.map((targets) => {
+                  const kept = (targets || []).filter((t) => t !== id);
+                  removedWires += (targets || []).length - kept.length;
+                  return kept;
+                });
+              }
+              if (Array.isArray(node.links) && node.links.includes(id)) {
+                node.links = node.links.filter((link) => link !== id);
+                removedLinks++;
+              }
+            });
+          });
+        };
+        if (isDryRun(dryRun, config)) {
+          const text = await previewFlowEdit([...flowIds], config, edit);
+          return { content: [{ type: "text", text }] };
+        }
+
+        await createAutoBackup("delete-node", { id }, config);
+        const change = await history.begin("delete-node", { id });
+        for (const affectedId of flowIds) {
+          await editFlow(affectedId, config, revisions, edit);
+        }
+        await change.commit();
+        const links =
+          removedLinks > 0 ? `, ${removedLinks} link reference(s)` : "";
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Node ${id} deleted (${removedWires} wire(s)${links} removed)`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Wire two nodes together
+  server.tool(
+    "connect-nodes",
+    "Adds a wire from an output of one node to the input of another node on the same tab and deploys only that tab. With dryRun the request and the node changes are reported without deploying. Args: sourceId (e.g.'a1b2c3d4e5f60718') targetId (e.g.'0f1e2d3c4b5a6978') output (optional, 0-based output index, default 0) dryRun (optional)",
+    {
+      sourceId: z.string().describe("ID of the node sending messages"),
+      targetId: z.string().describe("ID of the node receiving messages"),
+      output: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("0-based output index of the source node (default 0)"),
+      dryRun: dryRunSchema,
+    },
+    async ({ sourceId, targetId, output = 0, dryRun }) => {
+      try {
+        await revisions.check();
+        const { node: source, flowId } = await findNodeFlow(sourceId, config);
+        const { node: target } = await findNodeFlow(targetId, config);
+        if (source.z !== target.z) {
+          throw new Error(
+            "Nodes must be on the same flow to be wired, use link nodes across flows"
+          );
+        }
+        if (typeof source.outputs === "number" && output >= source.outputs) {
+          throw new Error(
+            `Node ${sourceId} has ${source.outputs} output(s), output ${output} does not exist`
+          );
+        }
+
+        const edit = (flow) => {
+          const node = findFlowNode(flow, sourceId);
+          node.wires = node.wires || [];
+          while (node.wires.length <= output) node.wires.push([]);
+          if (node.wires[output].includes(targetId)) return false;
+          node.wires[output].push(targetId);
+          return true;
+        };
+        if (isDryRun(dryRun, config)) {
+          const text = await previewFlowEdit([flowId], config, edit);
+          return { content: [{ type: "text", text }] };
+        }
+
+        await createAutoBackup(
+          "connect-nodes",
+          { sourceId, targetId, output },
+          config
+        );
+        const change = await history.begin("connect-nodes", {
+          sourceId,
+          targetId,
+          output,
+        });
+        const added = await editFlow(flowId, config, revisions, edit);
+        await change.commit();
+        return {
+          content: [
+            {
+              type: "text",
+              text: added
+                ? `Connected ${sourceId} [output ${output}] -> ${targetId}`
+                : `${sourceId} [output ${output}] is already connected to ${targetId}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Remove wires between two nodes
+  server.tool(
+    "disconnect-nodes",
+    "Removes the wire(s) from one node to another and deploys only the tab that contains them. With dryRun the request and the node changes are reported without deploying. Args: sourceId (e.g.'a1b2c3d4e5f60718') targetId (e.g.'0f1e2d3c4b5a6978') output (optional, 0-based output index, all outputs if not provided) dryRun (optional)",
+    {
+      sourceId: z.string().describe("ID of the node sending messages"),
+      targetId: z.string().describe("ID of the node receiving messages"),
+      output: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("0-based output index of the source node (optional)"),
+      dryRun: dryRunSchema,
+    },
+    async ({ sourceId, targetId, output, dryRun }) => {
+      try {
+        await revisions.check();
+        const { node: source, flowId } = await findNodeFlow(sourceId, config);
+        const wired = (source.wires || []).some(
+          (targets, index) =>
+            (output === undefined || index === output) &&
+            (targets || []).includes(targetId)
+        );
+        if (!wired) {
+          throw new Error(`No wire from ${sourceId} to ${targetId} found`);
+        }
+
+        const edit = (flow) => {
+          const node = findFlowNode(flow, sourceId);
+          let count = 0;
+          (node.wires || []).forEach((targets, index) => {
+            if (output !== undefined && index !== output) return;
+            const kept = (targets || []).filter((t) => t !== targetId);
+            count += (targets || []).length - kept.length;
+            node.wires[index] = kept;
+          });
+          return count;
+        };
+        if (isDryRun(dryRun, config)) {
+          const text = await previewFlowEdit([flowId], config, edit);
+          return { content: [{ type: "text", text }] };
+        }
+
+        await createAutoBackup(
+          "disconnect-nodes",
+          { sourceId, targetId, output },
+          config
+        );
+        const change = await history.begin("disconnect-nodes", {
+          sourceId,
+          targetId,
+          output,
+        });
+        const removed = await editFlow(flowId, config, revisions, edit);
+        await change.commit();
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Disconnected ${sourceId} -> ${targetId} (${removed} wire(s) removed)`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
   // Get flows state
   server.tool(
     "get-flows-state",
@@ -140,11 +1334,31 @@ export default function registerFlowTools(server, config) {
   // Set flows state
   server.tool(
     "set-flows-state",
-    "Updates the deployment state of all flows in the Node-RED instance.",
-    { stateJson: z.string().describe("Flows state in JSON") },
-    async ({ stateJson }) => {
+    "Updates the deployment state of all flows in the Node-RED instance. With dryRun the request is reported without sending it. Args: stateJson (e.g.'{state: 'stop'}') dryRun (optional)",
+    {
+      stateJson: z.string().describe("Flows state in JSON"),
+      dryRun: dryRunSchema,
+    },
+    async ({ stateJson, dryRun }) => {
       try {
         const stateObj = JSON.parse(stateJson);
+        if (isDryRun(dryRun, config)) {
+          const current = await callNodeRed("get", "/flows/state", null, config);
+          const request = { method: "post", path: "/flows/state", body: stateObj };
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatDryRun(
+                  request,
+                  `Flows state: ${current?.state} -> ${stateObj.state}`
+                ),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup("set-flows-state", { stateJson }, config);
         await callNodeRed("post", "/flows/state", stateObj, config);
         return { content: [{ type: "text", text: "Flows state updated" }] };
       } catch (error) {
@@ -159,7 +1373,7 @@ export default function registerFlowTools(server, config) {
     "Retrieves a human-readable, formatted list of all flows in the Node-RED instance.",
     {},
     async () => {
-      const flows = await callNodeRed("get", "/flows", null, config);
+      const { flows } = await readFlows(config);
       const formatted = formatFlowsOutput(flows);
 
       return {
@@ -171,13 +1385,46 @@ export default function registerFlowTools(server, config) {
   // Structured flows output with visualization
   server.tool(
     "visualize-flows",
-    "Generates a graph-like visualization of the flows in the Node-RED instance.",
-    {},
-    async () => {
-      const flows = await callNodeRed("get", "/flows", null, config);
+    "Generates a graph-like visualization of the flows in the Node-RED instance. The summary format lists node counts per tab; mermaid and dot export the message flow (wires, link nodes, subflow instances, config nodes) as a Mermaid flowchart or Graphviz graph. Args: format (optional, e.g.'mermaid') tabId (optional) collapseConfigNodes (optional)",
+    {
+      format: z
+        .enum(["summary", "mermaid", "dot"])
+        .optional()
+        .describe("Output format (default: summary)"),
+      tabId: z
+        .string()
+        .optional()
+        .describe("Only include this tab or subflow (optional)"),
+      collapseConfigNodes: z
+        .boolean()
+        .optional()
+        .describe("Leave config nodes out of mermaid/dot graphs"),
+    },
+    async ({ format = "summary", tabId, collapseConfigNodes }) => {
+      const { flows } = await readFlows(config);
+
+      if (tabId && !flows.some((node) => node.id === tabId)) {
+        return {
+          content: [{ type: "text", text: `Error: Tab ${tabId} not found` }],
+        };
+      }
+
+      if (format !== "summary") {
+        const graph = buildFlowGraph(flows, { tabId, collapseConfigNodes });
+        return {
+          content: [
+            {
+              type: "text",
+              text: format === "mermaid" ? toMermaid(graph) : toDot(graph),
+            },
+          ],
+        };
+      }
 
       // Group by tabs
-      const tabs = flows.filter((node) => node.type === "tab");
+      const tabs = flows.filter(
+        (node) => node.type === "tab" && (!tabId || node.id === tabId)
+      );
       const nodesByTab = {};
 
       tabs.forEach((tab) => {
@@ -0,0 +1,373 @@
+/**
+ * MCP tools to undo and redo the flow changes made by tools during a
+ * server session, one change at a time
+ */
+
+import { z } from "zod";
+import fs from "fs/promises";
+import crypto from "crypto";
+import { deployFlows, readFlows } from "../utils.mjs";
+import { diffFlows, formatDiffSummary, isEmptyDiff } from "../flow-diff.mjs";
+import { withLock, writeFileAtomic } from "../backup-stores/fs-utils.mjs";
+import { createAutoBackup, describeToolArgs, getPaths } from "./backup.mjs";
+import { blockedByDryRun } from "../dry-run.mjs";
+
+// Changes kept when history.maxEntries is not set
+const DEFAULT_MAX_ENTRIES = 20;
+
+// Session histories kept in the persisted file, the least recently changed
+// are dropped
+const MAX_PERSISTED_SESSIONS = 5;
+
+// Server configurations whose persisted history was restored into a session
+const restored = new WeakSet();
+
+/**
+ * Calculate the checksum of a flows array
+ * @param {Array} flows - Flows array
+ * @returns {string} SHA-256 hex digest
+ */
+function checksumFlows(flows) {
+  return crypto.createHash("sha256").update(JSON.stringify(flows)).digest("hex");
+}
+
+/**
+ * Check whether the live flows are still in a recorded state. Compared by
+ * content, as undoing and redoing can bring back a state under a new revision.
+ * @param {Object} state - Recorded flows and revision
+ * @param {Object} live - Live flows and revision (from readFlows)
+ * @returns {boolean} True if nothing changed since the state was recorded
+ */
+function isCurrentState(state, live) {
+  return checksumFlows(state.flows) === checksumFlows(live.flows);
+}
+
+/**
+ * Count the changed tabs, nodes and wires of a diff
+ * @param {Object} diff - Result of diffFlows
+ * @returns {string} Short summary (e.g. "2 node(s), 1 wire(s)")
+ */
+function summarizeDiff(diff) {
+  const count = (group) =>
+    Object.values(group).reduce((total, items) => total + items.length, 0);
+  return [
+    [count(diff.tabs), "tab(s)"],
+    [count(diff.nodes), "node(s)"],
+    [count(diff.wires), "wire(s)"],
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, label]) => `${n} ${label}`)
+    .join(", ");
+}
+
+/**
+ * Create the change history of a server session. Each MCP server instance
+ * (one per HTTP client session) keeps its own history.
+ * @param {Object} config - Server configuration
+ * @returns {Object} Session history
+ */
+export function createSessionHistory(config) {
+  const maxEntries = config.history?.maxEntries || DEFAULT_MAX_ENTRIES;
+  const persist = Boolean(config.history?.persist);
+  const { backupDir, historyPath } = getPaths(config);
+
+  let undoStack = [];
+  let redoStack = [];
+  let nextId = 1;
+  let loaded = null;
+  // Key of this session's history in the persisted file
+  let sessionKey = crypto.randomUUID();
+
+  // Persisted histories by session key, newest first
+  async function readPersisted() {
+    try {
+      const saved = JSON.parse(await fs.readFile(historyPath, "utf8"));
+      // Files written before the histories were kept per session
+      const sessions = saved.sessions || { previous: saved };
+      return Object.entries(sessions).sort(([, a], [, b]) =>
+        (b.updated || "").localeCompare(a.updated || "")
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(
+        `Session history ${historyPath} could not be read: ${error.message}`
+      );
+    }
+  }
+
+  // A persisted history survives restarts of the server: the history of the
+  // session that changed the flows last is restored into the first session,
+  // later client sessions start empty
+  async function load() {
+    if (!persist || restored.has(config)) return;
+    restored.add(config);
+    const [latest] = await readPersisted();
+    if (!latest) return;
+    // Continue the restored history under its key
+    const [key, saved] = latest;
+    sessionKey = key;
+    undoStack = saved.undo || [];
+    redoStack = saved.redo || [];
+    nextId =
+      Math.max(0, ...[...undoStack, ...redoStack].map((entry) => entry.id)) + 1;
+  }
+
+  async function ready() {
+    loaded ||= load();
+    return loaded;
+  }
+
+  async function save() {
+    if (!persist) return;
+    // Other sessions and processes keep their histories in the same file,
+    // so read, merge and write it under the lock
+    await withLock(backupDir, async () => {
+      const others = (await readPersisted()).filter(
+        ([key]) => key !== sessionKey
+      );
+      const sessions = [
+        [
+          sessionKey,
+          {
+            updated: new Date().toISOString(),
+            undo: undoStack,
+            redo: redoStack,
+          },
+        ],
+        ...others,
+      ].slice(0, MAX_PERSISTED_SESSIONS);
+      await writeFileAtomic(
+        historyPath,
+        JSON.stringify({ sessions: Object.fromEntries(sessions) })
+      );
+    });
+  }
+
+  /**
+   * Deploy a recorded state if the flows are still in the expected state
+   */
+  async function apply(entry, expected, target, action, force) {
+    const live = await readFlows(config);
+    if (!force && !isCurrentState(expected, live)) {
+      const diff = diffFlows(expected.flows, live.flows);
+      throw new Error(
+        `The flows were changed since change ${entry.id} (${entry.tool}) ${
+          action === "undo" ? "was made" : "was undone"
+        }, e.g. in the editor. ${
+          action === "undo" ? "Undoing" : "Redoing"
+        } it would also revert these changes; set force to ${action} anyway.\n\n${formatDiffSummary(
+          diff
+        )}`
+      );
+    }
+
+    await createAutoBackup(
+      action === "undo" ? "undo-last-change" : "redo-change",
+      { change: entry.id, tool: entry.tool },
+      config
+    );
+    await deployFlows(target.flows, config, {
+      deploymentType: "nodes",
+      rev: live.rev,
+    });
+
+    return diffFlows(live.flows, target.flows);
+  }
+
+  return {
+    /**
+     * Record the flows before a tool changes them
+     * @param {string} tool - Tool name
+     * @param {Object} args - Tool arguments
+     * @returns {Promise<Object>} Pending change; call commit() once the change is deployed
+     */
+    async begin(tool, args) {
+      await ready();
+      const before = await readFlows(config);
+
+      return {
+        /**
+         * Record the flows after the change; changes that left the flows
+         * as they were are not recorded
+         */
+        commit: async () => {
+          const after = await readFlows(config);
+          const diff = diffFlows(before.flows, after.flows);
+          if (isEmptyDiff(diff)) return null;
+
+          const entry = {
+            id: nextId++,
+            tool,
+            args: describeToolArgs(args),
+            timestamp: new Date().toISOString(),
+            summary: summarizeDiff(diff),
+            before,
+            after,
+          };
+          undoStack.push(entry);
+          undoStack = undoStack.slice(-maxEntries);
+          redoStack = [];
+          await save();
+          return entry;
+        },
+      };
+    },
+
+    /**
+     * Revert the last recorded change
+     * @param {boolean} force - Revert even if the flows changed since
+     * @returns {Promise<Object>} Undone change and the deployed changes
+     */
+    async undo(force) {
+      await ready();
+      const entry = undoStack[undoStack.length - 1];
+      if (!entry) throw new Error("No changes to undo in this session");
+
+      const changes = await apply(entry, entry.after, entry.before, "undo", force);
+      redoStack.push(undoStack.pop());
+      await save();
+      return { entry, changes };
+    },
+
+    /**
+     * Reapply the last undone change
+     * @param {boolean} force - Reapply even if the flows changed since
+     * @returns {Promise<Object>} Redone change and the deployed changes
+     */
+    async redo(force) {
+      await ready();
+      const entry = redoStack[redoStack.length - 1];
+      if (!entry) throw new Error("No undone changes to redo");
+
+      const changes = await apply(entry, entry.before, entry.after, "redo", force);
+      undoStack.push(redoStack.pop());
+      await save();
+      return { entry, changes };
+    },
+
+    /**
+     * List the recorded changes
+     * @returns {Promise<Object>} Changes that can be undone and redone, oldest first
+     */
+    async list() {
+      await ready();
+      return { undo: undoStack, redo: redoStack };
+    },
+  };
+}
+
+/**
+ * Format a recorded change as one line
+ * @param {Object} entry - Recorded change
+ * @returns {string} Description
+ */
+function describeChange(entry) {
+  return `#${entry.id} ${entry.tool}${entry.args ? ` (${entry.args})` : ""} at ${new Date(
+    entry.timestamp
+  ).toLocaleString()}: ${entry.summary}`;
+}
+
+/**
+ * Registers session history tools in the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} config - Server configuration
+ * @param {Object} history - Change history of the session (see createSessionHistory)
+ */
+export default function registerHistoryTools(server, config, history) {
+  const forceSchema = z
+    .boolean()
+    .optional()
+    .describe("Apply even if the flows were changed since, e.g. in the editor");
+
+  // List session changes
+  server.tool(
+    "list-session-changes",
+    "Lists the flow changes made by tools in this session, newest first, with the changes that were undone and can be redone",
+    {},
+    async () => {
+      try {
+        const { undo, redo } = await history.list();
+        if (undo.length === 0 && redo.length === 0) {
+          return {
+            content: [
+              { type: "text", text: "No flow changes recorded in this session" },
+            ],
+          };
+        }
+
+        const sections = [];
+        if (undo.length > 0) {
+          sections.push(
+            `Changes (undo-last-change reverts the first):\n${[...undo]
+              .reverse()
+              .map((entry) => `- ${describeChange(entry)}`)
+              .join("\n")}`
+          );
+        }
+        if (redo.length > 0) {
+          sections.push(
+            `Undone changes (redo-change reapplies the first):\n${[...redo]
+              .reverse()
+              .map((entry) => `- ${describeChange(entry)}`)
+              .join("\n")}`
+          );
+        }
+        return { content: [{ type: "text", text: sections.join("\n\n") }] };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Undo last change
+  server.tool(
+    "undo-last-change",
+    "Reverts the last flow change made by a tool in this session by deploying the flows as they were before it. Refused if the flows were changed since (e.g. in the editor) unless force is set. Args: force (optional)",
+    { force: forceSchema },
+    async ({ force }) => {
+      try {
+        const refused = blockedByDryRun("undo-last-change", config);
+        if (refused) return refused;
+        const { entry, changes } = await history.undo(force);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Undone: ${describeChange(entry)}\n\n${formatDiffSummary(
+                changes
+              )}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // Redo change
+  server.tool(
+    "redo-change",
+    "Reapplies the last change reverted with undo-last-change. Refused if the flows were changed since unless force is set. Args: force (optional)",
+    { force: forceSchema },
+    async ({ force }) => {
+      try {
+        const refused = blockedByDryRun("redo-change", config);
+        if (refused) return refused;
+        const { entry, changes } = await history.redo(force);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Redone: ${describeChange(entry)}\n\n${formatDiffSummary(
+                changes
+              )}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+}
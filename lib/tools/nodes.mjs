@@ -3,7 +3,283 @@
  */
 
 import { z } from "zod";
-import { callNodeRed } from "../utils.mjs";
+import axios from "axios";
+import { callNodeRed, readFlows } from "../utils.mjs";
+import {
+  fetchInstalledModules,
+  fetchNodeRegistry,
+  queryNodeRegistry,
+} from "../node-registry.mjs";
+import { createAutoBackup } from "./backup.mjs";
+import {
+  blockedByDryRun,
+  dryRunSchema,
+  formatDryRun,
+  isDryRun,
+} from "../dry-run.mjs";
+
+// npm registry used to look up the latest version of a module, unless configured
+const DEFAULT_NPM_REGISTRY = "https://registry.npmjs.org";
+
+// Property types accepted by the inject node (vt)
+const INJECT_TYPES = ["str", "num", "json", "bool", "date"];
+
+/**
+ * Infer the inject property type of a value
+ * @param {any} value - Property value
+ * @returns {string} Inject property type
+ */
+function inferInjectType(value) {
+  if (typeof value === "number") return "num";
+  if (typeof value === "boolean") return "bool";
+  if (value !== null && typeof value === "object") return "json";
+  return "str";
+}
+
+/**
+ * Convert a value to the string form the inject node expects for a type
+ * @param {string} property - Property name
+ * @param {any} value - Property value
+ * @param {string} type - Inject property type
+ * @returns {string} Value as sent in __user_inject_props__
+ */
+function formatInjectValue(property, value, type) {
+  switch (type) {
+    case "num":
+      if (value === "" || value === null || Number.isNaN(Number(value))) {
+        throw new Error(`msg.${property} is not a number: ${value}`);
+      }
+      return String(Number(value));
+    case "bool":
+      if (![true, false, "true", "false"].includes(value)) {
+        throw new Error(`msg.${property} is not a boolean: ${value}`);
+      }
+      return String(value);
+    case "json":
+      if (typeof value === "string") {
+        JSON.parse(value); // Throws if the string is not valid JSON
+        return value;
+      }
+      return JSON.stringify(value);
+    case "date":
+      // The inject node sets the current timestamp, the value is ignored
+      return "";
+    default:
+      return value === null || value === undefined ? "" : String(value);
+  }
+}
+
+/**
+ * Build the __user_inject_props__ list that overrides inject node properties
+ * @param {Object} msg - Message properties to send (e.g. {payload: 42, topic: "t"})
+ * @param {Object} [types] - Inject type per property (str, num, json, bool, date);
+ *   inferred from the value if not given
+ * @returns {Array<Object>} Inject properties ({p, v, vt})
+ */
+export function buildInjectProps(msg, types = {}) {
+  Object.entries(types).forEach(([property, type]) => {
+    if (!INJECT_TYPES.includes(type)) {
+      throw new Error(
+        `Unsupported type '${type}' for msg.${property}, use one of ${INJECT_TYPES.join(", ")}`
+      );
+    }
+  });
+
+  // Properties with type "date" need no value
+  const properties = [
+    ...new Set([...Object.keys(msg), ...Object.keys(types)]),
+  ];
+  return properties.map((property) => {
+    const value = msg[property];
+    const type = types[property] || inferInjectType(value);
+    return {
+      p: property,
+      v: formatInjectValue(property, value, type),
+      vt: type,
+    };
+  });
+}
+
+/**
+ * Get the message properties an inject node is configured to send
+ * @param {Object} node - Inject node
+ * @returns {Array<Object>} Inject properties ({p, v, vt}), with the payload
+ *   and topic filled in from the node the way the inject node does
+ */
+function getConfiguredInjectProps(node) {
+  // Inject nodes from before Node-RED 1.1 have no props list
+  if (!Array.isArray(node.props)) {
+    return [
+      { p: "payload", v: node.payload, vt: node.payloadType },
+      { p: "topic", v: node.topic, vt: "str" },
+    ];
+  }
+  return node.props.map((prop) => {
+    if (prop.p === "payload" && !("v" in prop)) {
+      return { ...prop, v: node.payload, vt: node.payloadType };
+    }
+    if (prop.p === "topic" && prop.vt === "str" && !("v" in prop)) {
+      return { ...prop, v: node.topic };
+    }
+    return prop;
+  });
+}
+
+/**
+ * Trigger an inject node, optionally overriding its message properties
+ * @param {string} id - Inject node ID
+ * @param {Object|null} msg - Message properties to send instead of the configured
+ *   ones; the other configured properties are still sent
+ * @param {Object} config - Server configuration
+ * @param {Object} [types] - Inject type per property (see buildInjectProps)
+ * @returns {Promise<any>} Result of the API call
+ */
+export async function triggerInject(id, msg, config, types = {}) {
+  const overrides = buildInjectProps(msg || {}, types);
+  let body = null;
+  if (overrides.length > 0) {
+    // Node-RED sends only the properties in the list, so start from the
+    // configured ones
+    const { flows } = await readFlows(config);
+    const node = flows.find((candidate) => candidate.id === id);
+    if (!node) throw new Error(`Inject node ${id} not found`);
+    const props = getConfiguredInjectProps(node);
+    const added = overrides.filter(
+      (override) => !props.some((prop) => prop.p === override.p)
+    );
+    body = {
+      __user_inject_props__: [
+        ...props.map(
+          (prop) => overrides.find((override) => override.p === prop.p) || prop
+        ),
+        ...added,
+      ],
+    };
+  }
+  return callNodeRed("post", "/inject/" + id, body, config);
+}
+
+/**
+ * Get the installed version and node types of a module
+ * @param {string} module - Module name (e.g. node-red-dashboard)
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Object|null>} Version and types, or null if not installed
+ */
+async function getInstalledModule(module, config) {
+  const modules = await fetchInstalledModules(config);
+  return modules.find((installed) => installed.module === module) || null;
+}
+
+/**
+ * Find the node sets enabled or disabled by PUT /nodes/<module>[/<set>]
+ * @param {string} module - Module name, or a set ID (e.g. node-red/inject)
+ * @param {string|null} set - Set name
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Array<Object>>} Node sets ({id, types, enabled})
+ */
+async function findNodeSets(module, set, config) {
+  const modules = await fetchInstalledModules(config);
+  const find = (moduleName, setName) =>
+    (modules.find((installed) => installed.module === moduleName)?.sets || [])
+      .filter((nodeSet) => !setName || nodeSet.name === setName)
+      .map((nodeSet) => ({ ...nodeSet, id: `${moduleName}/${nodeSet.name}` }));
+
+  let sets = find(module, set);
+  // A set ID given as module name is routed to /nodes/<module>/<set>
+  const slash = module.lastIndexOf("/");
+  if (sets.length === 0 && !set && slash > 0) {
+    sets = find(module.slice(0, slash), module.slice(slash + 1));
+  }
+  if (sets.length === 0) {
+    throw new Error(
+      `Node ${set ? `set ${module}/${set}` : `module ${module}`} is not installed`
+    );
+  }
+  return sets;
+}
+
+/**
+ * Format deployed nodes as a list
+ * @param {Array<Object>} nodes - Deployed nodes
+ * @returns {string} One line per node
+ */
+function formatNodeUsages(nodes) {
+  return nodes
+    .map(
+      (node) =>
+        `- ${node.id} (${node.type})${node.name ? ` "${node.name}"` : ""}${
+          node.z ? ` on ${node.z}` : ""
+        }`
+    )
+    .join("\n");
+}
+
+/**
+ * Describe what enabling or disabling node sets changes
+ * @param {Array<Object>} sets - Node sets (from findNodeSets)
+ * @param {boolean} enabled - New state
+ * @param {Object} config - Server configuration
+ * @returns {Promise<string>} Description of the changes
+ */
+async function describeToggle(sets, enabled, config) {
+  const state = (value) => (value ? "enabled" : "disabled");
+  const lines = sets.map(
+    (nodeSet) =>
+      `- ${nodeSet.id} (${nodeSet.types.join(", ")}): ${
+        nodeSet.enabled === enabled
+          ? `already ${state(enabled)}`
+          : `${state(nodeSet.enabled)} -> ${state(enabled)}`
+      }`
+  );
+
+  if (!enabled) {
+    const types = sets
+      .filter((nodeSet) => nodeSet.enabled)
+      .flatMap((nodeSet) => nodeSet.types);
+    const flows = await callNodeRed("get", "/flows", null, config);
+    const inUse = flows.filter((node) => types.includes(node.type));
+    if (inUse.length > 0) {
+      lines.push(
+        "",
+        `${inUse.length} deployed node(s) use these types and stop working until they are enabled again:`,
+        formatNodeUsages(inUse)
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Get the npm registry configured for version lookups
+ * @param {Object} config - Server configuration
+ * @returns {string} Registry base URL without trailing slash
+ */
+function getNpmRegistry(config) {
+  return (config.npmRegistry || DEFAULT_NPM_REGISTRY).replace(/\/+$/, "");
+}
+
+/**
+ * Look up the latest published version of a module
+ * @param {string} module - Module name
+ * @param {Object} config - Server configuration
+ * @returns {Promise<string|null>} Latest version, or null if unknown
+ */
+async function getLatestVersion(module, config) {
+  try {
+    const response = await axios.get(
+      `${getNpmRegistry(config)}/-/package/${module}/dist-tags`,
+      { timeout: 10000 }
+    );
+    return response.data?.latest || null;
+  } catch (error) {
+    if (config.verbose) {
+      console.error(
+        `Latest version lookup of ${module} failed: ${error.message}`
+      );
+    }
+    return null;
+  }
+}
 
 /**
  * Registers node-related tools in the MCP server
@@ -14,58 +290,87 @@ export default function registerNodeTools(server, config) {
   // Trigger inject node
   server.tool(
     "inject",
-    "Triggers an inject node in the Node-RED instance by its ID. This tool simulates an input event for the specified inject node.",
-    { id: z.string().describe("Inject node ID") },
-    async ({ id }) => {
-      await callNodeRed("post", "/inject/" + id, null, config);
-      return {
-        content: [{ type: "text", text: `Inject node ${id} triggered` }],
-      };
+    "Triggers an inject node in the Node-RED instance by its ID. This tool simulates an input event for the specified inject node. Optionally overrides msg properties; the other configured properties are still sent (Node-RED 3.x or newer). Args: id (e.g.'a1b2c3d4e5f60718') msgJson (optional, e.g.'{payload: 42, topic: 'sensors/temp'}') types (optional, e.g.'{payload: 'num'}')",
+    {
+      id: z.string().describe("Inject node ID"),
+      msgJson: z
+        .string()
+        .optional()
+        .describe(
+          "Message properties to send in JSON, e.g. {\"payload\": 42, \"topic\": \"test\"} (optional)"
+        ),
+      types: z
+        .record(z.enum(["str", "num", "json", "bool", "date"]))
+        .optional()
+        .describe(
+          "Type of each message property: str, num, json, bool or date (current timestamp); inferred from the value if not given"
+        ),
+    },
+    async ({ id, msgJson, types }) => {
+      try {
+        const refused = blockedByDryRun("inject", config);
+        if (refused) return refused;
+        const msg = msgJson ? JSON.parse(msgJson) : {};
+        if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+          throw new Error("msgJson must be a JSON object");
+        }
+        await triggerInject(id, msg, config, types);
+
+        const properties = Object.keys({ ...msg, ...types });
+        return {
+          content: [
+            {
+              type: "text",
+              text: properties.length
+                ? `Inject node ${id} triggered with msg.${properties.join(", msg.")}`
+                : `Inject node ${id} triggered`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
     }
   );
 
-  function extractSingleNode(moduleName, nodeHtml) {
-    // 1. Extract node name from registerType('mcp-in', ...)
-    const nameMatch = nodeHtml.match(/registerType\s*\(\s*['"](.+?)['"]/);
-    const name = nameMatch ? nameMatch[1] : "";
-
-    // 2. Extract help document from data-help-name script
-    const helpMatch = nodeHtml.match(
-      /<script[^>]+data-help-name=["'][^"']+["'][^>]*>([\s\S]*?)<\/script>/
-    );
-    const help = helpMatch ? helpMatch[1].trim() : "";
-
-    return { name, help, module: moduleName };
-  }
   // Get list of installed nodes
   server.tool(
     "get-available-nodes",
-    "Retrieves a list of all installed nodes their information (name,help,module) in the Node-RED instance.",
-    {},
-    async () => {
-      // 1. Get JSON data
-      const htmlString = await callNodeRed("get", "/nodes", null, config);
-
-      // 2. Regular expression matches all nodes
-      const nodePattern =
-        /<!-- --- \[red-module:([^\]]+)\] --- -->([\s\S]*?)(?=<!-- --- \[red-module:|$)/g;
-      const result = [];
-
-      let match;
-      while ((match = nodePattern.exec(htmlString)) !== null) {
-        const moduleName = match[1]; // node-red-contrib-mcp-protocol/mcp-in
-        const nodeHtml = match[2]; // The HTML content of the entire node
-
-        // 3. Extract single node information
-        const nodeInfo = extractSingleNode(moduleName, nodeHtml);
-
-        if (nodeInfo.name) {
-          result.push(nodeInfo);
+    "Retrieves the installed node types of the Node-RED instance with their schema: module, category, whether it is a config node, inputs, outputs, defaults (default value, required, config node type, validator), credentials and help as markdown. Use it to build valid nodes. Filter by type or category to keep the result small. Args: type (optional, e.g.'mqtt in') category (optional, e.g.'network' or 'config') module (optional, e.g.'node-red')",
+    {
+      type: z.string().optional().describe("Only this node type"),
+      category: z
+        .string()
+        .optional()
+        .describe("Only node types of this palette category"),
+      module: z
+        .string()
+        .optional()
+        .describe("Only node types of this module (prefix match)"),
+    },
+    async ({ type, category, module }) => {
+      try {
+        const registry = await fetchNodeRegistry(config);
+        const result = queryNodeRegistry(registry, { type, category, module });
+        if (result.length === 0) {
+          const categories = [
+            ...new Set(registry.map((nodeType) => nodeType.category)),
+          ].filter(Boolean);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No installed node types match. Available categories: ${categories.join(", ")}`,
+              },
+            ],
+          };
         }
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
       }
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
-      };
     }
   );
 
@@ -104,26 +409,229 @@ export default function registerNodeTools(server, config) {
   // Install node module
   server.tool(
     "install-node-module",
-    "Install a specific node module in the Node-RED instance. Args: module (e.g.'node-red-dashboard')",
-    { module: z.string().describe("Node module name") },
-    async ({ module }) => {
-      const info = await callNodeRed("post", "/nodes", { module }, config);
-      return {
-        content: [{ type: "text", text: JSON.stringify(info, null, 2) }],
-      };
+    "Install a specific node module in the Node-RED instance. With dryRun the request is reported without installing. Args: module (e.g.'node-red-dashboard') version (optional, e.g.'3.6.0') dryRun (optional)",
+    {
+      module: z.string().describe("Node module name"),
+      version: z
+        .string()
+        .optional()
+        .describe("Version to install (optional, latest if omitted)"),
+      dryRun: dryRunSchema,
+    },
+    async ({ module, version, dryRun }) => {
+      try {
+        const body = version ? { module, version } : { module };
+        if (isDryRun(dryRun, config)) {
+          const installed = await getInstalledModule(module, config);
+          const changes = installed
+            ? `${module} ${installed.version} is installed${
+                version && version !== installed.version
+                  ? ` and would be replaced by ${version}`
+                  : ""
+              }`
+            : `${module} ${version || "(latest version)"} would be installed`;
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatDryRun(
+                  { method: "post", path: "/nodes", body },
+                  changes
+                ),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup(
+          "install-node-module",
+          { module, version },
+          config
+        );
+        const info = await callNodeRed("post", "/nodes", body, config);
+        return {
+          content: [{ type: "text", text: JSON.stringify(info, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+  // Update node module
+  server.tool(
+    "update-node-module",
+    "Updates an installed node module to a given version, or to the latest published version. Args: module (e.g.'node-red-dashboard') version (optional, e.g.'3.6.0')",
+    {
+      module: z.string().describe("Node module name"),
+      version: z
+        .string()
+        .optional()
+        .describe("Target version (optional, latest if omitted)"),
+    },
+    async ({ module, version }) => {
+      try {
+        const refused = blockedByDryRun("update-node-module", config);
+        if (refused) return refused;
+        await createAutoBackup(
+          "update-node-module",
+          { module, version },
+          config
+        );
+        const installed = await getInstalledModule(module, config);
+        if (!installed) {
+          throw new Error(
+            `Module ${module} is not installed, use install-node-module`
+          );
+        }
+
+        const targetVersion =
+          version || (await getLatestVersion(module, config));
+        if (!targetVersion) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Module ${module} is at version ${
+                  installed.version
+                }. Its latest version is unknown because ${getNpmRegistry(
+                  config
+                )} could not be reached or has no latest version of it, specify the version to update to.`,
+              },
+            ],
+          };
+        }
+        if (installed.version === targetVersion) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Module ${module} is already at version ${targetVersion}`,
+              },
+            ],
+          };
+        }
+
+        const info = await callNodeRed(
+          "post",
+          "/nodes",
+          { module, version: targetVersion },
+          config
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Module ${module} updated from ${installed.version} to ${targetVersion}. Restart Node-RED if the new version is not loaded.\n\n${JSON.stringify(
+                info,
+                null,
+                2
+              )}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+  // Uninstall node module
+  server.tool(
+    "uninstall-node-module",
+    "Uninstalls a node module from the Node-RED instance. Refuses if deployed nodes still use a node type of the module, because they would become unknown nodes; set force to uninstall anyway. Args: module (e.g.'node-red-dashboard') force (optional)",
+    {
+      module: z.string().describe("Node module name"),
+      force: z
+        .boolean()
+        .optional()
+        .describe("Uninstall even if deployed nodes use the module"),
+    },
+    async ({ module, force }) => {
+      try {
+        const refused = blockedByDryRun("uninstall-node-module", config);
+        if (refused) return refused;
+        await createAutoBackup(
+          "uninstall-node-module",
+          { module, force },
+          config
+        );
+        const installed = await getInstalledModule(module, config);
+        if (!installed) {
+          throw new Error(`Module ${module} is not installed`);
+        }
+
+        const flows = await callNodeRed("get", "/flows", null, config);
+        const inUse = flows.filter((node) =>
+          installed.types.includes(node.type)
+        );
+        if (inUse.length > 0 && !force) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Not uninstalled: ${inUse.length} deployed node(s) use types of ${module}. Remove them first or set force to uninstall anyway.\n\n${formatNodeUsages(
+                  inUse
+                )}`,
+              },
+            ],
+          };
+        }
+
+        await callNodeRed("delete", "/nodes/" + module, null, config);
+        const warning = inUse.length
+          ? `\n\nWarning: ${inUse.length} deployed node(s) now have an unknown type`
+          : "";
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Module ${module} ${installed.version} uninstalled (types: ${installed.types.join(
+                ", "
+              )})${warning}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
     }
   );
 
   // Enable/disable node module
   server.tool(
     "toggle-node-module",
-    "Enables or disables a specific node module in the Node-RED instance. Args: module (e.g.'node-red/inject') enabled (e.g.'true')",
+    "Enables or disables a specific node module in the Node-RED instance. With dryRun the affected node types and deployed nodes are reported without changing them. Args: module (e.g.'node-red/inject') enabled (e.g.'true') dryRun (optional)",
     {
       module: z.string().describe("Node module name"),
       enabled: z.boolean().describe("true to enable, false to disable"),
+      dryRun: dryRunSchema,
     },
-    async ({ module, enabled }) => {
+    async ({ module, enabled, dryRun }) => {
       try {
+        if (isDryRun(dryRun, config)) {
+          const sets = await findNodeSets(module, null, config);
+          const request = {
+            method: "put",
+            path: "/nodes/" + module,
+            body: { enabled },
+          };
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatDryRun(
+                  request,
+                  await describeToggle(sets, enabled, config)
+                ),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup(
+          "toggle-node-module",
+          { module, enabled },
+          config
+        );
         await callNodeRed("put", "/nodes/" + module, { enabled }, config);
         return {
           content: [
@@ -141,14 +649,40 @@ export default function registerNodeTools(server, config) {
   // Enable/disable node module set
   server.tool(
     "toggle-node-module-set",
-    "Enables or disables a specific node module set in the Node-RED instance. Args: module (e.g.'@supcon-international/node-red-function-gpt-with-memory') set (e.g.'function-gpt') enabled (e.g.'true')",
+    "Enables or disables a specific node module set in the Node-RED instance. With dryRun the affected node types and deployed nodes are reported without changing them. Args: module (e.g.'@supcon-international/node-red-function-gpt-with-memory') set (e.g.'function-gpt') enabled (e.g.'true') dryRun (optional)",
     {
       module: z.string().describe("Node module name"),
       set: z.string().describe("Node module set name"),
       enabled: z.boolean().describe("true to enable, false to disable"),
+      dryRun: dryRunSchema,
     },
-    async ({ module, set, enabled }) => {
+    async ({ module, set, enabled, dryRun }) => {
       try {
+        if (isDryRun(dryRun, config)) {
+          const sets = await findNodeSets(module, set, config);
+          const request = {
+            method: "put",
+            path: "/nodes/" + module + "/" + set,
+            body: { enabled },
+          };
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatDryRun(
+                  request,
+                  await describeToggle(sets, enabled, config)
+                ),
+              },
+            ],
+          };
+        }
+
+        await createAutoBackup(
+          "toggle-node-module-set",
+          { module, set, enabled },
+          config
+        );
         await callNodeRed(
           "put",
           "/nodes/" + module + "/" + set,
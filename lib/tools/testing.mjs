@@ -0,0 +1,186 @@
+/**
+ * MCP tools for end-to-end flow tests
+ * Test cases are stored as JSON files next to the flow backups
+ */
+
+import { z } from "zod";
+import fs from "fs/promises";
+import path from "path";
+import { getCommsClient } from "../comms.mjs";
+import {
+  formatTestReport,
+  runFlowTest,
+  validateTestCase,
+} from "../flow-test.mjs";
+import { getPaths } from "./backup.mjs";
+import { triggerInject } from "./nodes.mjs";
+import { blockedByDryRun } from "../dry-run.mjs";
+
+/**
+ * Save a test case
+ * @param {Object} test - Validated test case
+ * @param {Object} config - Server configuration
+ * @returns {Promise<string>} Path of the test file
+ */
+async function saveTestCase(test, config) {
+  const { testsDir } = getPaths(config);
+  await fs.mkdir(testsDir, { recursive: true });
+  const testFile = path.join(testsDir, `${test.name}.json`);
+  await fs.writeFile(testFile, JSON.stringify(test, null, 2));
+  return testFile;
+}
+
+/**
+ * Load a saved test case by name
+ * @param {string} name - Test name
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Object>} Test case
+ */
+async function loadTestCase(name, config) {
+  const { testsDir } = getPaths(config);
+  if (!/^[a-zA-Z0-9_\-]{1,50}$/.test(name)) {
+    throw new Error(`Invalid flow test name '${name}'`);
+  }
+  try {
+    const test = JSON.parse(
+      await fs.readFile(path.join(testsDir, `${name}.json`), "utf8")
+    );
+    return validateTestCase(test);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new Error(`Flow test '${name}' not found`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Load all saved test cases
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Array<Object>>} Test cases sorted by name
+ */
+async function loadAllTestCases(config) {
+  const { testsDir } = getPaths(config);
+  let files;
+  try {
+    files = await fs.readdir(testsDir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const names = files
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -5))
+    .sort();
+  return Promise.all(names.map((name) => loadTestCase(name, config)));
+}
+
+/**
+ * Registers flow test tools in the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} config - Server configuration
+ */
+export default function registerTestingTools(server, config) {
+  // Run flow tests
+  server.tool(
+    "run-flow-test",
+    "Runs an end-to-end flow test: triggers inject nodes (optionally with overridden msg properties), waits for messages at debug nodes and checks them against expected values. Pass a test case as JSON, the name of a saved test, or all=true to rerun every saved test as a regression check. Debug nodes must be active. Args: testJson (optional, e.g.'{name: 'temp-alert', inject: [{nodeId: 'a1b2', msg: {payload: 42}}], expect: [{nodeId: 'c3d4', path: '$.alert', equals: true}], timeout: 5000}') name (optional) all (optional) save (optional)",
+    {
+      testJson: z
+        .string()
+        .optional()
+        .describe(
+          "Test case in JSON: name, inject [{nodeId, msg, types}], expect [{nodeId, path, equals|notEquals|contains|matches|gt|gte|lt|lte|exists, count}], timeout (ms)"
+        ),
+      name: z.string().optional().describe("Name of a saved test to run"),
+      all: z.boolean().optional().describe("Run all saved tests"),
+      save: z
+        .boolean()
+        .optional()
+        .describe("Save the test case given in testJson for later runs"),
+      timeout: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Override the wait time in milliseconds"),
+    },
+    async ({ testJson, name, all, save, timeout }) => {
+      try {
+        const refused = blockedByDryRun("run-flow-test", config);
+        if (refused) return refused;
+        let tests;
+        if (testJson) {
+          tests = [validateTestCase(JSON.parse(testJson))];
+        } else if (name) {
+          tests = [await loadTestCase(name, config)];
+        } else if (all) {
+          tests = await loadAllTestCases(config);
+          if (tests.length === 0) {
+            throw new Error("No saved flow tests found");
+          }
+        } else {
+          throw new Error("Provide testJson, name or all");
+        }
+
+        let saved = "";
+        if (testJson && save) {
+          const testFile = await saveTestCase(tests[0], config);
+          saved = `\n\nTest saved to ${testFile}`;
+        }
+
+        const comms = getCommsClient(config);
+        await comms.connect();
+        const runtime = {
+          comms,
+          inject: (step) =>
+            triggerInject(step.nodeId, step.msg, config, step.types),
+        };
+
+        const reports = [];
+        for (const test of tests) {
+          reports.push(await runFlowTest(test, runtime, timeout));
+        }
+
+        return {
+          content: [{ type: "text", text: formatTestReport(reports) + saved }],
+        };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+
+  // List saved flow tests
+  server.tool(
+    "list-flow-tests",
+    "Lists the saved flow test cases that run-flow-test can rerun",
+    {},
+    async () => {
+      try {
+        const tests = await loadAllTestCases(config);
+        if (tests.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "No saved flow tests. Save one with run-flow-test and save=true.",
+              },
+            ],
+          };
+        }
+
+        const output = tests.map(
+          (test) =>
+            `- ${test.name}${test.description ? `: ${test.description}` : ""} (${
+              test.inject.length
+            } inject, ${test.expect.length} expectation(s))`
+        );
+        return { content: [{ type: "text", text: output.join("\n") }] };
+      } catch (error) {
+        return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+      }
+    }
+  );
+}
@@ -17,6 +17,21 @@ export default function registerUtilityTools(server, config) {
       // Get the configured API prefix
       const prefix = config.apiPrefix || "";
       const endpoints = [
+        {
+          method: "GET",
+          path: "/auth/login",
+          description: "Get the active authentication scheme",
+        },
+        {
+          method: "POST",
+          path: "/auth/token",
+          description: "Exchange credentials for an access token",
+        },
+        {
+          method: "POST",
+          path: "/auth/revoke",
+          description: "Revoke an access token",
+        },
         { method: "GET", path: "/flows", description: "Get all flows" },
         { method: "POST", path: "/flows", description: "Update all flows" },
         {
@@ -80,6 +95,11 @@ export default function registerUtilityTools(server, config) {
           path: "/nodes/:module",
           description: "Enable/Disable a node module",
         },
+        {
+          method: "DELETE",
+          path: "/nodes/:module",
+          description: "Remove a node module",
+        },
         {
           method: "GET",
           path: "/nodes/:module/:set",
@@ -90,10 +110,48 @@ export default function registerUtilityTools(server, config) {
           path: "/nodes/:module/:set",
           description: "Enable/Disable a node set",
         },
+        {
+          method: "GET",
+          path: "/context/global",
+          description: "Get global context values",
+        },
+        {
+          method: "GET",
+          path: "/context/flow/:id",
+          description: "Get flow context values",
+        },
+        {
+          method: "GET",
+          path: "/context/node/:id",
+          description: "Get node context values",
+        },
+        {
+          method: "DELETE",
+          path: "/context/global/:key",
+          description: "Delete a global context value",
+        },
+        {
+          method: "DELETE",
+          path: "/context/flow/:id/:key",
+          description: "Delete a flow context value",
+        },
+        {
+          method: "DELETE",
+          path: "/context/node/:id/:key",
+          description: "Delete a node context value",
+        },
+        {
+          method: "WS",
+          path: "/comms",
+          description: "Editor websocket (debug messages, node status)",
+        },
       ];
 
       // Check implemented methods
       const implementedMethods = {
+        "GET /auth/login": true,
+        "POST /auth/token": true,
+        "POST /auth/revoke": true,
         "GET /flows": true,
         "POST /flows": true,
         "GET /flow/:id": true,
@@ -107,10 +165,18 @@ export default function registerUtilityTools(server, config) {
         "POST /nodes": true,
         "GET /nodes/:module": true,
         "PUT /nodes/:module": true,
+        "DELETE /nodes/:module": true,
         "GET /nodes/:module/:set": true,
         "PUT /nodes/:module/:set": true,
         "GET /settings": true,
         "GET /diagnostics": true,
+        "GET /context/global": true,
+        "GET /context/flow/:id": true,
+        "GET /context/node/:id": true,
+        "DELETE /context/global/:key": true,
+        "DELETE /context/flow/:id/:key": true,
+        "DELETE /context/node/:id/:key": true,
+        "WS /comms": true,
       };
 
       const output = [
@@ -3,6 +3,143 @@
  */
 
 import axios from "axios";
+import crypto from "crypto";
+
+// Client ID Node-RED accepts for admin API logins
+const AUTH_CLIENT_ID = "node-red-admin";
+
+// Renew tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+// Access tokens obtained via username/password login, by configuration
+const authSessions = new WeakMap();
+
+/**
+ * Build the base URL of the Node-RED admin API
+ * @param {Object} config - Connection configuration
+ * @returns {string} Base URL including the API prefix
+ */
+function getApiBaseUrl(config) {
+  return config.nodeRedUrl + (config.apiPrefix || "");
+}
+
+/**
+ * Check whether username/password login is configured
+ * @param {Object} config - Connection configuration
+ * @returns {boolean} True if credentials are configured
+ */
+function hasCredentials(config) {
+  return Boolean(config.nodeRedUsername && config.nodeRedPassword);
+}
+
+/**
+ * Log in to Node-RED adminAuth with username and password
+ * @param {Object} config - Connection configuration
+ * @returns {Promise<Object>} Access token and its expiry time
+ */
+async function login(config) {
+  const baseUrl = getApiBaseUrl(config);
+
+  const { data: scheme } = await axios.get(baseUrl + "/auth/login");
+  if (scheme?.type !== "credentials") {
+    throw new Error(
+      "Node-RED does not support username/password login (adminAuth type is not 'credentials')"
+    );
+  }
+
+  const { data } = await axios.post(baseUrl + "/auth/token", {
+    client_id: AUTH_CLIENT_ID,
+    grant_type: "password",
+    scope: "*",
+    username: config.nodeRedUsername,
+    password: config.nodeRedPassword,
+  });
+
+  return {
+    accessToken: data.access_token,
+    expiresAt: data.expires_in
+      ? Date.now() + data.expires_in * 1000
+      : Infinity,
+  };
+}
+
+/**
+ * Get a valid access token, logging in again when needed
+ * @param {Object} config - Connection configuration
+ * @param {boolean} forceRefresh - Discard the cached token, unless a login
+ *   is in progress
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken(config, forceRefresh = false) {
+  let session = authSessions.get(config);
+
+  if (
+    // Requests rejected at the same time share the login already under way
+    (forceRefresh && !session?.pending) ||
+    !session ||
+    (session.token && session.token.expiresAt - TOKEN_EXPIRY_MARGIN < Date.now())
+  ) {
+    // Share one login between concurrent requests
+    session = { pending: login(config) };
+    authSessions.set(config, session);
+  }
+
+  if (session.pending) {
+    try {
+      session.token = await session.pending;
+    } catch (error) {
+      authSessions.delete(config);
+      const message = error.response?.data?.message || error.message;
+      throw new Error(`Node-RED login failed: ${message}`);
+    } finally {
+      delete session.pending;
+    }
+  }
+
+  return session.token.accessToken;
+}
+
+/**
+ * Build the authorization headers for a Node-RED request
+ * @param {Object} config - Connection configuration
+ * @param {boolean} forceRefresh - Log in again even if a token is cached
+ * @returns {Promise<Object>} Request headers
+ */
+export async function getAuthHeaders(config, forceRefresh = false) {
+  const token = await getAuthToken(config, forceRefresh);
+  return token ? { Authorization: "Bearer " + token } : {};
+}
+
+/**
+ * Get the access token for Node-RED requests
+ * @param {Object} config - Connection configuration
+ * @param {boolean} forceRefresh - Log in again even if a token is cached
+ * @returns {Promise<string>} Access token, or an empty string without authentication
+ */
+export async function getAuthToken(config, forceRefresh = false) {
+  if (hasCredentials(config)) {
+    return getAccessToken(config, forceRefresh);
+  }
+  return config.nodeRedToken || "";
+}
+
+/**
+ * Revoke the access token obtained by username/password login, if any
+ * @param {Object} config - Connection configuration
+ * @returns {Promise<void>}
+ */
+export async function revokeAccessToken(config) {
+  const session = authSessions.get(config);
+  authSessions.delete(config);
+  if (!session?.token) return;
+
+  const headers = { Authorization: "Bearer " + session.token.accessToken };
+  await axios.post(
+    getApiBaseUrl(config) + "/auth/revoke",
+    { token: session.token.accessToken },
+    { headers }
+  );
+}
 
 /**
  * Call the Node-RED API
@@ -10,24 +147,121 @@ import axios from "axios";
  * @param {string} path - API path
  * @param {Object|null} data - Data to send (optional)
  * @param {Object} config - Connection configuration
+ * @param {Object} options - Request options (headers: extra request headers)
  * @returns {Promise<any>} Result of the API call
  */
-export async function callNodeRed(method, path, data = null, config) {
+export async function callNodeRed(method, path, data = null, config, options = {}) {
   // Add API prefix if configured
   const apiPath = config.apiPrefix ? config.apiPrefix + path : path;
   const url = config.nodeRedUrl + apiPath;
-  const headers = config.nodeRedToken
-    ? { Authorization: "Bearer " + config.nodeRedToken }
-    : {};
-  if (["post", "put"].includes(method.toLowerCase())) {
-    headers["Content-Type"] = "application/json";
-  }
+  const send = async (forceRefresh) => {
+    const headers = {
+      ...(await getAuthHeaders(config, forceRefresh)),
+      ...options.headers,
+    };
+    if (["post", "put"].includes(method.toLowerCase())) {
+      headers["Content-Type"] = "application/json";
+    }
+    return axios({ method, url, headers, data });
+  };
   try {
-    const response = await axios({ method, url, headers, data });
+    let response;
+    try {
+      response = await send(false);
+    } catch (error) {
+      // The token may have expired or been revoked: log in again once
+      if (error.response?.status !== 401 || !hasCredentials(config)) {
+        throw error;
+      }
+      response = await send(true);
+    }
     return response.data;
   } catch (error) {
-    const message = error.response?.data || error.message;
-    throw new Error(`Node-RED API error: ${message}`);
+    const body = error.response?.data;
+    const message =
+      body && typeof body === "object"
+        ? body.message || body.code || JSON.stringify(body)
+        : body || error.message;
+    const apiError = new Error(`Node-RED API error: ${message}`);
+    apiError.status = error.response?.status;
+    apiError.code = body?.code;
+    throw apiError;
+  }
+}
+
+/**
+ * Read all flows together with their revision
+ * @param {Object} config - Connection configuration
+ * @returns {Promise<Object>} Flows array and revision (null with API v1)
+ */
+export async function readFlows(config) {
+  if (config.nodeRedAPIVersion !== "v2") {
+    const flows = await callNodeRed("get", "/flows", null, config);
+    return { flows, rev: null };
+  }
+  const result = await callNodeRed("get", "/flows", null, config, {
+    headers: { "Node-RED-API-Version": "v2" },
+  });
+  return { flows: result.flows, rev: result.rev };
+}
+
+/**
+ * Create the error reported when the flows were changed since a revision was read
+ * @param {string} rev - Revision the change was based on
+ * @returns {Error} Conflict error with code "version_mismatch"
+ */
+export function createRevisionConflict(rev) {
+  const conflict = new Error(
+    `Conflict: the flows were changed in Node-RED since revision ${rev} was read (e.g. deployed from the editor). Read the flows again with get-flows, reapply your changes and retry.`
+  );
+  conflict.code = "version_mismatch";
+  return conflict;
+}
+
+/**
+ * Build the Admin API request that deploys a complete flows array
+ * @param {Array} flows - Flows to deploy
+ * @param {Object} config - Connection configuration
+ * @param {Object} options - Deployment options (see deployFlows)
+ * @returns {Object} Request ({method, path, headers, body})
+ */
+export function buildDeployRequest(flows, config, options = {}) {
+  const headers = {
+    "Node-RED-Deployment-Type": options.deploymentType || "full",
+  };
+
+  if (config.nodeRedAPIVersion !== "v2") {
+    return { method: "post", path: "/flows", headers, body: flows };
+  }
+
+  headers["Node-RED-API-Version"] = "v2";
+  const body = options.rev ? { rev: options.rev, flows } : { flows };
+  return { method: "post", path: "/flows", headers, body };
+}
+
+/**
+ * Deploy a complete flows array
+ * @param {Array} flows - Flows to deploy
+ * @param {Object} config - Connection configuration
+ * @param {Object} options - Deployment options
+ * @param {string} [options.deploymentType] - full, nodes, flows or reload (default full)
+ * @param {string} [options.rev] - Revision the flows are based on; the deploy is
+ *   rejected if the flows were changed in Node-RED since (API v2 only)
+ * @returns {Promise<Object>} Deployment result with the new revision (API v2)
+ */
+export async function deployFlows(flows, config, options = {}) {
+  const { method, path, headers, body } = buildDeployRequest(
+    flows,
+    config,
+    options
+  );
+  try {
+    return await callNodeRed(method, path, body, config, { headers });
+  } catch (error) {
+    if (config.nodeRedAPIVersion === "v2" && error.status === 409) {
+      throw createRevisionConflict(options.rev);
+    }
+    throw error;
   }
 }
 
@@ -63,3 +297,11 @@ export function formatFlowsOutput(flows) {
     data: result,
   };
 }
+
+/**
+ * Generate a node ID in the format used by the Node-RED editor
+ * @returns {string} 16 character hexadecimal ID
+ */
+export function generateNodeId() {
+  return crypto.randomBytes(8).toString("hex");
+}
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import registerBackupTools from "../lib/tools/backup.mjs";
+import { connectTools } from "./helpers.mjs";
+
+test("bundle paths can't leave the bundle directory", async () => {
+  const backupPath = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-bundle-"));
+  const outside = path.join(backupPath, "settings.js");
+  await fs.writeFile(outside, "module.exports = {}");
+  const tools = await connectTools(registerBackupTools, {
+    nodeRedUrl: "http://127.0.0.1:9",
+    backup: { backupPath },
+  });
+  try {
+    for (const filePath of [outside, "../settings.js", "a/../../x.gz"]) {
+      assert.match(
+        await tools.call("export-backup-bundle", {
+          name: "b1",
+          path: filePath,
+        }),
+        /Export failed: Bundle path .* must be relative/
+      );
+      assert.match(
+        await tools.call("import-backup-bundle", { path: filePath }),
+        /must be relative/
+      );
+    }
+    assert.equal(await fs.readFile(outside, "utf8"), "module.exports = {}");
+  } finally {
+    await tools.close();
+    await fs.rm(backupPath, { recursive: true });
+  }
+});
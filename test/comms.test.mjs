@@ -0,0 +1,204 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocketServer } from "ws";
+import { createCommsClient } from "../lib/comms.mjs";
+
+/**
+ * Start a websocket stand-in for the Node-RED /comms endpoint
+ * @param {Object} [options] - auth: reply to auth messages with this value
+ * @returns {Promise<Object>} Server, received messages, send and config
+ */
+async function startComms(options = {}) {
+  const server = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  await new Promise((resolve) => server.once("listening", resolve));
+  const received = [];
+  const sockets = [];
+
+  server.on("connection", (ws, req) => {
+    sockets.push(ws);
+    received.push({ url: req.url });
+    ws.on("message", (raw) => {
+      const message = JSON.parse(raw.toString());
+      received.push(message);
+      if (message.auth && options.auth) {
+        ws.send(JSON.stringify({ auth: options.auth }));
+      }
+    });
+  });
+
+  return {
+    server,
+    received,
+    send: (messages) =>
+      sockets.forEach((ws) => ws.send(JSON.stringify(messages))),
+    config: { nodeRedUrl: `http://127.0.0.1:${server.address().port}` },
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((ws) => ws.terminate());
+        server.close(resolve);
+      }),
+  };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("subscribes to debug, status and notifications", async () => {
+  const comms = await startComms();
+  const client = createCommsClient(comms.config);
+  try {
+    await client.connect();
+    await waitFor(() => comms.received.length === 4);
+    assert.deepEqual(comms.received, [
+      { url: "/comms" },
+      { subscribe: "debug" },
+      { subscribe: "status/#" },
+      { subscribe: "notification/#" },
+    ]);
+    assert.equal(client.isConnected(), true);
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
+
+test("authenticates with the access token before subscribing", async () => {
+  const comms = await startComms({ auth: "ok" });
+  const client = createCommsClient({ ...comms.config, nodeRedToken: "secret" });
+  try {
+    await client.connect();
+    await waitFor(() => comms.received.length === 5);
+    assert.deepEqual(comms.received[1], { auth: "secret" });
+    assert.deepEqual(comms.received[2], { subscribe: "debug" });
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
+
+test("rejects when authentication fails", async () => {
+  const comms = await startComms({ auth: "fail" });
+  const client = createCommsClient({ ...comms.config, nodeRedToken: "wrong" });
+  try {
+    await assert.rejects(client.connect(), /authentication failed/);
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
+
+test("doesn't reconnect after authentication failed", async () => {
+  const comms = await startComms({ auth: "fail" });
+  const client = createCommsClient({ ...comms.config, nodeRedToken: "wrong" });
+  const connections = () => comms.received.filter((message) => message.url);
+  try {
+    await assert.rejects(client.connect(), /authentication failed/);
+    // Longer than the first reconnect delay
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    assert.equal(connections().length, 1);
+
+    await assert.rejects(client.connect(), /authentication failed/);
+    assert.equal(connections().length, 2);
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
+
+test("times out when the runtime never answers", async () => {
+  // Accepts the socket but ignores the auth message
+  const comms = await startComms();
+  const client = createCommsClient({
+    ...comms.config,
+    nodeRedToken: "secret",
+    comms: { connectTimeout: 200 },
+  });
+  try {
+    await assert.rejects(client.connect(), /timed out after 200 ms/);
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
+
+test("buffers debug messages and the latest node status", async () => {
+  const comms = await startComms();
+  const client = createCommsClient(comms.config);
+  try {
+    await client.connect();
+    // Newer runtimes batch messages into an array
+    comms.send([
+      {
+        topic: "debug",
+        data: { id: "d1", z: "t1", msg: '{"a":1}', format: "Object" },
+      },
+      {
+        topic: "debug",
+        data: { id: "d2", z: "t2", msg: "42", format: "number" },
+      },
+      { topic: "status/n1", data: { text: "connecting", fill: "yellow" } },
+      { topic: "hb", data: 1 },
+    ]);
+    comms.send({
+      topic: "status/n1",
+      data: { text: "connected", fill: "green" },
+    });
+    await waitFor(() => client.getNodeStatus()[0]?.text === "connected");
+
+    const messages = client.getDebugMessages();
+    assert.deepEqual(
+      messages.map(({ nodeId, tabId, value }) => ({ nodeId, tabId, value })),
+      [
+        { nodeId: "d1", tabId: "t1", value: { a: 1 } },
+        { nodeId: "d2", tabId: "t2", value: 42 },
+      ]
+    );
+    assert.deepEqual(
+      client.getDebugMessages({ tabId: "t2" }).map((m) => m.nodeId),
+      ["d2"]
+    );
+    assert.deepEqual(
+      client.getNodeStatus({ nodeIds: ["n1"] }).map(({ text, fill }) => ({
+        text,
+        fill,
+      })),
+      [{ text: "connected", fill: "green" }]
+    );
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
+
+test("keeps at most bufferSize events", async () => {
+  const comms = await startComms();
+  const client = createCommsClient({
+    ...comms.config,
+    comms: { bufferSize: 2 },
+  });
+  try {
+    await client.connect();
+    comms.send(
+      ["a", "b", "c"].map((id) => ({ topic: "debug", data: { id, msg: id } }))
+    );
+    await waitFor(() =>
+      client.getDebugMessages().some((m) => m.nodeId === "c")
+    );
+    assert.deepEqual(
+      client.getDebugMessages().map((m) => m.nodeId),
+      ["b", "c"]
+    );
+  } finally {
+    client.close();
+    await comms.close();
+  }
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import registerContextTools from "../lib/tools/context.mjs";
+import { connectTools, startNodeRed } from "./helpers.mjs";
+
+test("lists the keys of the requested store", async () => {
+  // Node-RED groups the values by store also when a store is requested
+  const nodeRed = await startNodeRed(() => ({
+    file: {
+      counter: { msg: "3", format: "number" },
+      last: { msg: "ok", format: "string[2]" },
+    },
+  }));
+  const tools = await connectTools(registerContextTools, {
+    nodeRedUrl: nodeRed.url,
+  });
+  try {
+    const text = await tools.call("get-context", {
+      scope: "flow",
+      id: "t1",
+      store: "file",
+    });
+    assert.equal(nodeRed.requests[0].url, "/context/flow/t1?store=file");
+    assert.equal(
+      text,
+      "# Flow context of t1\n\n## Store: file\n- counter (number): 3\n- last (string[2]): ok"
+    );
+  } finally {
+    await tools.close();
+    await nodeRed.close();
+  }
+});
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateFlows } from "../lib/flow-validator.mjs";
+import { parseNodeRegistry } from "../lib/node-registry.mjs";
+
+// Definitions as registered by the core nodes (editor code trimmed)
+const registry = parseNodeRegistry(`<!-- --- [red-module:node-red/catch] --- -->
+<script type="text/javascript">
+RED.nodes.registerType('catch',{category:'common',color:"#e49191",defaults:{name:{value:""},scope:{value:null,type:"*[]"},uncaught:{value:false}},inputs:0,outputs:1,icon:"alert.svg"});
+</script>
+<!-- --- [red-module:node-red/status] --- -->
+<script type="text/javascript">
+RED.nodes.registerType('status',{category:'common',color:"#94c1d0",defaults:{name:{value:""},scope:{value:null,type:"*[]"}},inputs:0,outputs:1,icon:"status.svg"});
+</script>
+<!-- --- [red-module:node-red/complete] --- -->
+<script type="text/javascript">
+RED.nodes.registerType('complete',{category:'common',color:"#c0edc0",defaults:{name:{value:""},scope:{value:[],type:"*[]",required:true},uncaught:{value:false}},inputs:0,outputs:1,icon:"alert.svg"});
+</script>
+<!-- --- [red-module:node-red/debug] --- -->
+<script type="text/javascript">
+RED.nodes.registerType('debug',{category:'common',color:"#87a980",defaults:{name:{value:""},active:{value:true}},inputs:1,outputs:0,icon:"debug.svg"});
+</script>
+<!-- --- [red-module:node-red/mqtt] --- -->
+<script type="text/javascript">
+RED.nodes.registerType('mqtt-broker',{category:'config',defaults:{broker:{value:"",required:true}}});
+RED.nodes.registerType('mqtt in',{category:'network',defaults:{topic:{value:""},broker:{type:"mqtt-broker",required:true}},inputs:0,outputs:1});
+</script>`);
+
+const tab = { id: "t1", type: "tab", label: "Flow 1" };
+const debug = { id: "d1", type: "debug", z: "t1", x: 300, y: 100, wires: [] };
+
+/**
+ * Validate nodes on one tab with a debug node to wire to
+ * @param {Array} nodes - Nodes to add
+ * @returns {Array<Object>} Errors found
+ */
+function errors(nodes) {
+  return validateFlows([tab, debug, ...nodes], { registry }).filter(
+    (issue) => issue.severity === "error"
+  );
+}
+
+test("catch, status and complete scopes are not config node references", () => {
+  const scoped = (type, scope) => ({
+    id: `${type}1`,
+    type,
+    z: "t1",
+    scope,
+    x: 100,
+    y: 100,
+    wires: [["d1"]],
+  });
+
+  assert.deepEqual(errors([scoped("complete", [])]), []);
+  assert.deepEqual(errors([scoped("complete", ["d1"])]), []);
+  assert.deepEqual(errors([scoped("catch", null)]), []);
+  assert.deepEqual(errors([scoped("catch", ["d1"])]), []);
+  assert.deepEqual(errors([scoped("status", ["d1"])]), []);
+});
+
+test("config node references are still checked", () => {
+  const mqttIn = (broker) => ({
+    id: "m1",
+    type: "mqtt in",
+    z: "t1",
+    topic: "a",
+    broker,
+    x: 100,
+    y: 100,
+    wires: [["d1"]],
+  });
+  const broker = { id: "b1", type: "mqtt-broker", broker: "localhost" };
+
+  assert.deepEqual(errors([mqttIn("b1"), broker]), []);
+  assert.match(errors([mqttIn("")])[0].message, /no "mqtt-broker" config node/);
+  assert.match(
+    errors([mqttIn("b2")])[0].message,
+    /references missing config node b2/
+  );
+  assert.match(
+    errors([mqttIn("d1")])[0].message,
+    /of type "debug", expected "mqtt-broker"/
+  );
+});
+
+test("ID-like property values don't block deploying", () => {
+  const token = "0123456789abcdef";
+  // Known type: only its declared config node properties are references
+  const known = { ...debug, id: "d2", apiKey: token };
+  assert.deepEqual(validateFlows([tab, debug, known], { registry }), []);
+
+  // Unknown type: the guessed reference is only a warning
+  const issues = validateFlows([tab, { id: "c1", type: "my-config", token }]);
+  assert.deepEqual(
+    issues.map(({ severity, nodeId }) => ({ severity, nodeId })),
+    [{ severity: "warning", nodeId: "c1" }]
+  );
+});
+
+test("types the editor HTML doesn't define are only errors if not installed", () => {
+  // Registered by an editor script the registry parser can't follow
+  const dashboard = { id: "u1", type: "ui_button", z: "t1", wires: [["d1"]] };
+  const missing = { ...dashboard, id: "u2", type: "ui_missing" };
+  const severities = (options) =>
+    validateFlows([tab, debug, dashboard, missing], options).map(
+      ({ severity, nodeId }) => ({ severity, nodeId })
+    );
+
+  assert.deepEqual(severities({ registry }), [
+    { severity: "warning", nodeId: "u1" },
+    { severity: "warning", nodeId: "u2" },
+  ]);
+  assert.deepEqual(
+    severities({ registry, installed: ["debug", "ui_button"] }),
+    [{ severity: "error", nodeId: "u2" }]
+  );
+});
+
+test("partly parsed definitions only give warnings", () => {
+  const partial =
+    parseNodeRegistry(`<!-- --- [red-module:my-nodes/split] --- -->
+<script type="text/javascript">
+RED.nodes.registerType('my-split',{category:'function',defaults:{name:{value:""},mode:{value:RED.settings.splitMode,required:true}},inputs:1,outputs:2});
+RED.nodes.registerType('my-router',{category:'function',defaults:{name:{value:""}},inputs:1,outputs:this.outputs||1});
+</script>`);
+  assert.deepEqual(
+    partial.map(({ name, complete }) => ({ name, complete })),
+    [
+      { name: "my-split", complete: false },
+      { name: "my-router", complete: false },
+    ]
+  );
+
+  const split = { id: "s1", type: "my-split", z: "t1", wires: [["d1"]] };
+  const router = { id: "r1", type: "my-router", z: "t1", wires: [["d1"]] };
+  const issues = validateFlows([tab, debug, split, router], {
+    registry: [...registry, ...partial],
+  });
+  assert.ok(issues.length > 0);
+  assert.ok(issues.every((issue) => issue.severity === "warning"));
+});
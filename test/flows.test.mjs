@@ -0,0 +1,208 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import registerFlowTools from "../lib/tools/flows.mjs";
+import { createSessionHistory } from "../lib/tools/history.mjs";
+import { connectTools, startNodeRed } from "./helpers.mjs";
+
+/**
+ * Start a Node-RED stand-in speaking Admin API v2 and connect the flow tools
+ * @param {Object} [settings] - Further server settings (backups are disabled)
+ * @returns {Promise<Object>} Node-RED state and requests, tools and close
+ */
+async function setup(settings = {}) {
+  const state = {
+    rev: 1,
+    flows: [
+      { id: "t1", type: "tab", label: "Flow 1" },
+      { id: "n1", type: "debug", z: "t1", name: "a", wires: [] },
+    ],
+  };
+  const nodeRed = await startNodeRed((method, url, body) => {
+    if (url === "/flows" && method === "GET") {
+      return { rev: `r${state.rev}`, flows: state.flows };
+    }
+    if (url === "/flows" && method === "POST") {
+      if (body.rev && body.rev !== `r${state.rev}`) {
+        return { status: 409, body: { code: "version_mismatch" } };
+      }
+      state.flows = body.flows;
+      state.rev++;
+      return { rev: `r${state.rev}` };
+    }
+    if (url === "/flow/t1" && method === "GET") {
+      const { id, label } = state.flows[0];
+      const nodes = state.flows.filter((node) => node.z === "t1");
+      return { id, label, nodes, configs: [] };
+    }
+    return { status: 404, body: { message: "not found" } };
+  });
+  const config = {
+    nodeRedUrl: nodeRed.url,
+    nodeRedAPIVersion: "v2",
+    backup: { enabled: false },
+    ...settings,
+  };
+  const tools = await connectTools(
+    registerFlowTools,
+    config,
+    createSessionHistory(config)
+  );
+
+  return {
+    state,
+    requests: nodeRed.requests,
+    tools,
+    // A deploy from the editor by someone else
+    deployElsewhere: () => {
+      state.flows = [...state.flows, { id: "n2", type: "debug", z: "t1" }];
+      state.rev++;
+    },
+    close: async () => {
+      await tools.close();
+      await nodeRed.close();
+    },
+  };
+}
+
+test("reads that don't return the flows keep the revision to check", async () => {
+  const { state, tools, deployElsewhere, close } = await setup();
+  try {
+    const flows = JSON.parse(await tools.call("get-flows"));
+    deployElsewhere();
+    assert.match(await tools.call("list-tabs"), /Flow 1/);
+    await tools.call("validate-flows");
+
+    flows[1].name = "b";
+    assert.match(
+      await tools.call("update-flows", {
+        flowsJson: JSON.stringify(flows),
+        skipValidation: true,
+      }),
+      /Conflict: the flows were changed in Node-RED since revision r1/
+    );
+    assert.ok(state.flows.some((node) => node.id === "n2"));
+  } finally {
+    await close();
+  }
+});
+
+test("reading the flows again allows the update", async () => {
+  const { state, tools, deployElsewhere, close } = await setup();
+  try {
+    await tools.call("get-flows");
+    deployElsewhere();
+    const flows = JSON.parse(await tools.call("get-flows"));
+
+    flows[1].name = "b";
+    assert.equal(
+      await tools.call("update-flows", {
+        flowsJson: JSON.stringify(flows),
+        skipValidation: true,
+      }),
+      "Flows updated"
+    );
+    assert.equal(state.flows[1].name, "b");
+    assert.ok(state.flows.some((node) => node.id === "n2"));
+  } finally {
+    await close();
+  }
+});
+
+test("invalid node edits are refused before a backup is taken", async () => {
+  const backupPath = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-flows-"));
+  const { tools, close } = await setup({ backup: { backupPath } });
+  try {
+    assert.match(
+      await tools.call("add-node", { flowId: "t1", nodeJson: '{"name":"x"}' }),
+      /Node must be an object with a type/
+    );
+    assert.match(
+      await tools.call("update-node", { id: "n1", propertiesJson: "{" }),
+      /Error: .*JSON/
+    );
+    assert.match(
+      await tools.call("disconnect-nodes", { sourceId: "n1", targetId: "t1" }),
+      /No wire from n1 to t1 found/
+    );
+    assert.deepEqual(await fs.readdir(backupPath), []);
+  } finally {
+    await close();
+    await fs.rm(backupPath, { recursive: true });
+  }
+});
+
+test("node edits in dry-run mode report the changes without deploying", async () => {
+  const { state, requests, tools, close } = await setup({ dryRun: true });
+  try {
+    const flows = state.flows;
+    const added = await tools.call("add-node", {
+      flowId: "t1",
+      nodeJson: '{"id":"n3","type":"debug","wires":[]}',
+    });
+    assert.match(added, /Dry run: nothing was sent/);
+    assert.match(added, /Request: PUT \/flow\/t1/);
+    assert.match(added, /n3/);
+
+    assert.match(
+      await tools.call("update-node", {
+        id: "n1",
+        propertiesJson: '{"name":"b"}',
+      }),
+      /Dry run: nothing was sent/
+    );
+    assert.match(
+      await tools.call("clone-tab", { tabId: "t1" }),
+      /Request: POST \/flows/
+    );
+
+    assert.equal(state.flows, flows);
+    assert.ok(requests.every((request) => request.method === "GET"));
+  } finally {
+    await close();
+  }
+});
+
+test("a single flow is compared with the global config nodes it uses", async () => {
+  const { state, tools, close } = await setup();
+  try {
+    const broker = { id: "b1", type: "mqtt-broker", broker: "localhost" };
+    const unused = { id: "b2", type: "mqtt-broker", broker: "other" };
+    state.flows = [
+      state.flows[0],
+      { ...state.flows[1], broker: "b1" },
+      broker,
+      unused,
+    ];
+
+    const changed = [
+      state.flows[0],
+      state.flows[1],
+      { ...broker, broker: "mqtt.local" },
+      { ...unused, broker: "changed" },
+    ];
+    const configDiff = await tools.call("diff-flows", {
+      from: "live",
+      to: JSON.stringify(changed),
+      tabs: ["t1"],
+    });
+    assert.match(configDiff, /b1/);
+    assert.doesNotMatch(configDiff, /b2/);
+
+    // Deploying the flow object leaves the config node as it is
+    const flowDiff = await tools.call("diff-flows", {
+      from: "live",
+      to: JSON.stringify({
+        id: "t1",
+        label: "Flow 1",
+        nodes: [{ ...state.flows[1], name: "b" }],
+      }),
+    });
+    assert.match(flowDiff, /n1/);
+    assert.doesNotMatch(flowDiff, /b1/);
+  } finally {
+    await close();
+  }
+});
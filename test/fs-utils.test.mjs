@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { withLock } from "../lib/backup-stores/fs-utils.mjs";
+
+/**
+ * Create an empty temporary directory
+ * @returns {Promise<string>} Directory path
+ */
+function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "mcp-lock-"));
+}
+
+test("a lock held by a running process is not taken over", async () => {
+  const dir = await tempDir();
+  const lockPath = path.join(dir, ".lock");
+  await fs.writeFile(
+    lockPath,
+    JSON.stringify({ pid: process.pid, hostname: os.hostname() })
+  );
+  const old = new Date(Date.now() - 10 * 60 * 1000);
+  await fs.utimes(lockPath, old, old);
+
+  let ran = false;
+  const locked = withLock(dir, async () => {
+    ran = true;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(ran, false);
+
+  await fs.unlink(lockPath);
+  await locked;
+  assert.equal(ran, true);
+  await fs.rm(dir, { recursive: true });
+});
+
+test("a lock left by a dead process is taken over", async () => {
+  const dir = await tempDir();
+  await fs.writeFile(
+    path.join(dir, ".lock"),
+    JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname() })
+  );
+  assert.equal(await withLock(dir, async () => "done"), "done");
+  await assert.rejects(fs.access(path.join(dir, ".lock")));
+  await fs.rm(dir, { recursive: true });
+});
+
+test("the lock of a process that took it over is kept", async () => {
+  const dir = await tempDir();
+  const lockPath = path.join(dir, ".lock");
+  await withLock(dir, async () => {
+    await fs.writeFile(lockPath, JSON.stringify({ pid: 1, hostname: "other" }));
+  });
+  assert.match(await fs.readFile(lockPath, "utf8"), /"other"/);
+  await fs.rm(dir, { recursive: true });
+});
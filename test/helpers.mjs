@@ -0,0 +1,63 @@
+import http from "http";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+
+/**
+ * Start a stand-in for the Node-RED Admin API
+ * @param {Function} handler - Receives (method, path, body, req) and returns
+ *   the response body, or an object with status and body
+ * @returns {Promise<Object>} Requests received, base URL and close
+ */
+export async function startNodeRed(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const body = raw ? JSON.parse(raw) : undefined;
+      requests.push({ method: req.method, url: req.url, body });
+      try {
+        const result = await handler(req.method, req.url, body, req);
+        const { status = 200, body: response } =
+          result && "status" in result ? result : { body: result };
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(response === undefined ? "" : JSON.stringify(response));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: error.message }));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Register tools on an MCP server and connect a client to it
+ * @param {Function} register - Registers the tools (server, ...args)
+ * @param {...any} args - Further arguments of register, e.g. the config
+ * @returns {Promise<Object>} call(name, args) returning the text, and close
+ */
+export async function connectTools(register, ...args) {
+  const server = new McpServer({ name: "test", version: "1.0.0" });
+  register(server, ...args);
+  const [clientTransport, serverTransport] =
+    InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  const client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(clientTransport);
+
+  return {
+    call: async (name, toolArgs = {}) => {
+      const result = await client.callTool({ name, arguments: toolArgs });
+      return result.content.map((item) => item.text).join("\n");
+    },
+    close: () => client.close(),
+  };
+}
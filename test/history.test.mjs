@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createSessionHistory } from "../lib/tools/history.mjs";
+
+/**
+ * Start a stand-in for the Node-RED /flows endpoint
+ * @returns {Promise<Object>} Flows served, config pointing at it and close
+ */
+async function startNodeRed() {
+  const state = { flows: [{ id: "t1", type: "tab", label: "Flow 1" }] };
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(state.flows));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const backupPath = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-history-"));
+
+  return {
+    state,
+    config: {
+      nodeRedUrl: `http://127.0.0.1:${server.address().port}`,
+      backup: { backupPath },
+      history: { persist: true },
+    },
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await fs.rm(backupPath, { recursive: true });
+    },
+  };
+}
+
+/**
+ * Record a change that adds a node
+ * @param {Object} history - Session history
+ * @param {Object} state - Flows served by the stand-in
+ * @param {string} id - ID of the added node
+ */
+async function addNode(history, state, id) {
+  const change = await history.begin("add-node", { id });
+  state.flows = [...state.flows, { id, type: "debug", z: "t1", wires: [] }];
+  await change.commit();
+}
+
+test("client sessions keep separate histories", async () => {
+  const nodeRed = await startNodeRed();
+  try {
+    const first = createSessionHistory(nodeRed.config);
+    const second = createSessionHistory(nodeRed.config);
+    await addNode(first, nodeRed.state, "n1");
+    await addNode(second, nodeRed.state, "n2");
+
+    assert.deepEqual(
+      (await first.list()).undo.map((entry) => entry.args),
+      ["id=n1"]
+    );
+    assert.deepEqual(
+      (await second.list()).undo.map((entry) => entry.args),
+      ["id=n2"]
+    );
+  } finally {
+    await nodeRed.close();
+  }
+});
+
+test("a persisted history is restored into the first session only", async () => {
+  const nodeRed = await startNodeRed();
+  try {
+    await addNode(createSessionHistory(nodeRed.config), nodeRed.state, "n1");
+
+    // Same settings after a restart
+    const config = { ...nodeRed.config };
+    const restoredSession = createSessionHistory(config);
+    const laterSession = createSessionHistory(config);
+    assert.equal((await restoredSession.list()).undo.length, 1);
+    assert.equal((await laterSession.list()).undo.length, 0);
+  } finally {
+    await nodeRed.close();
+  }
+});
+
+test("persisting a session's history keeps the other sessions' histories", async () => {
+  const nodeRed = await startNodeRed();
+  try {
+    await addNode(createSessionHistory(nodeRed.config), nodeRed.state, "n1");
+    // Changed later, so its history is the one restored after a restart
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await addNode(createSessionHistory(nodeRed.config), nodeRed.state, "n2");
+
+    const saved = JSON.parse(
+      await fs.readFile(
+        path.join(
+          nodeRed.config.backup.backupPath,
+          ".mcp-session-history.json"
+        ),
+        "utf8"
+      )
+    );
+    assert.deepEqual(
+      Object.values(saved.sessions).map((session) => session.undo[0].args),
+      ["id=n2", "id=n1"]
+    );
+
+    const restoredSession = createSessionHistory({ ...nodeRed.config });
+    assert.deepEqual(
+      (await restoredSession.list()).undo.map((entry) => entry.args),
+      ["id=n2"]
+    );
+  } finally {
+    await nodeRed.close();
+  }
+});
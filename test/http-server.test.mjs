@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer } from "../lib/http-server.mjs";
+
+const options = {
+  host: "127.0.0.1",
+  port: 0,
+  path: "/mcp",
+  ssePath: "/sse",
+  messagesPath: "/messages",
+  maxBodySize: 1024,
+};
+
+/**
+ * Post a body to the MCP endpoint of a server started without sessions
+ * @param {string} body - Request body
+ * @returns {Promise<Object>} Status and parsed JSON-RPC response
+ */
+async function post(body) {
+  const server = await startHttpServer(() => {
+    throw new Error("No session expected");
+  }, options);
+  try {
+    const { port } = server.httpServer.address();
+    const res = await fetch(`http://127.0.0.1:${port}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    });
+    return { status: res.status, json: await res.json() };
+  } finally {
+    await server.close();
+  }
+}
+
+test("rejects request bodies larger than maxBodySize", async () => {
+  const { status, json } = await post(
+    JSON.stringify({ jsonrpc: "2.0", padding: "x".repeat(2048) })
+  );
+  assert.equal(status, 413);
+  assert.match(json.error.message, /exceeds 1024 bytes/);
+});
+
+test("still reads bodies up to maxBodySize", async () => {
+  const { status, json } = await post(JSON.stringify({ jsonrpc: "2.0" }));
+  assert.equal(status, 400);
+  assert.match(json.error.message, /No valid session ID/);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { triggerInject } from "../lib/tools/nodes.mjs";
+import { startNodeRed } from "./helpers.mjs";
+
+test("overriding one inject property keeps the other configured ones", async () => {
+  const inject = {
+    id: "i1",
+    type: "inject",
+    z: "t1",
+    props: [
+      { p: "payload" },
+      { p: "topic", vt: "str" },
+      { p: "source", v: "sensor", vt: "str" },
+    ],
+    payload: "",
+    payloadType: "date",
+    topic: "readings",
+    wires: [],
+  };
+  const nodeRed = await startNodeRed((method, url) =>
+    method === "GET" && url === "/flows" ? [inject] : {}
+  );
+  try {
+    await triggerInject("i1", { payload: 42 }, { nodeRedUrl: nodeRed.url });
+
+    const { body } = nodeRed.requests.find((request) =>
+      request.url.startsWith("/inject/")
+    );
+    assert.deepEqual(body.__user_inject_props__, [
+      { p: "payload", v: "42", vt: "num" },
+      { p: "topic", v: "readings", vt: "str" },
+      { p: "source", v: "sensor", vt: "str" },
+    ]);
+  } finally {
+    await nodeRed.close();
+  }
+});
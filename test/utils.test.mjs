@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callNodeRed } from "../lib/utils.mjs";
+import { startNodeRed } from "./helpers.mjs";
+
+test("requests rejected at the same time share one login", async () => {
+  let logins = 0;
+  const nodeRed = await startNodeRed(async (method, url, body, req) => {
+    if (url === "/auth/login") return { type: "credentials" };
+    if (url === "/auth/token") {
+      logins++;
+      const token = `token${logins}`;
+      // Slow enough for both rejected requests to ask for a new token
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      return { access_token: token, expires_in: 3600 };
+    }
+    // Only the latest token is accepted, as after a restart of Node-RED
+    if (req.headers.authorization !== `Bearer token${logins}`) {
+      return { status: 401, body: { message: "Unauthorized" } };
+    }
+    return [];
+  });
+  const config = {
+    nodeRedUrl: nodeRed.url,
+    nodeRedUsername: "admin",
+    nodeRedPassword: "secret",
+  };
+  try {
+    await callNodeRed("get", "/flows", null, config);
+    // The token is revoked
+    logins++;
+
+    await Promise.all([
+      callNodeRed("get", "/flows", null, config),
+      callNodeRed("get", "/flows", null, config),
+    ]);
+    assert.equal(logins, 3);
+  } finally {
+    await nodeRed.close();
+  }
+});